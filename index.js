@@ -1,2 +1,19 @@
 var Context = require('./lib/context')
-module.exports = Context
\ No newline at end of file
+var errors = require('./lib/errors')
+var dependencies = require('./lib/dependencies')
+
+Context.CircularDependencyError = errors.CircularDependencyError
+Context.ValidationError = errors.ValidationError
+Context.ShutdownError = errors.ShutdownError
+Context.DuplicateProviderError = errors.DuplicateProviderError
+Context.MissingPropertyError = errors.MissingPropertyError
+Context.MissingProviderError = errors.MissingProviderError
+Context.TimeoutError = errors.TimeoutError
+Context.AnnotationSyntaxError = errors.AnnotationSyntaxError
+
+Context.all = dependencies.all
+Context.lazy = dependencies.lazy
+Context.provider = dependencies.provider
+Context.optional = dependencies.optional
+
+module.exports = Context
@@ -0,0 +1,93 @@
+var R = require('ramda')
+
+/**
+ * Reads the annotations in the doc-comments of the functions and classes declared in the source of a
+ * module, e.g.
+ *
+ *   /**
+ *    * @Provides 'db.connection'
+ *    * @Requires 'db.config'
+ *    *\/
+ *   exports.connect = function(config) { ... }
+ *
+ * A doc-comment applies to the declaration on the line which immediately follows it, which may be any of:
+ *
+ *   function name(...)                          exports.name = function | class | (...) =>
+ *   var|let|const name = function | (...) =>    module.exports = function | class | {
+ *   export [async] function name(...)           export const name = function | class | (...) =>
+ *   export default function | class             [export] class Name
+ *   static [async] name(...)                    (a static method, e.g. a factory method, of the preceding class)
+ *
+ * Declarations are named as the module exports them, i.e. 'default' for a default export and 'anonymous'
+ * when the module itself is exported. Static methods are named after their class, e.g. 'Connection.open'.
+ *
+ * @param source    The source of the module
+ * @returns         A map of the names of the declarations to their annotations, each a map of the name of the
+ *                  annotation to {value, line, column} (or an array of those, if it is repeated), where the value 
+ *                  is the text of the annotation (or true, if there is none) which starts at that line and column
+ */
+var read = function(source) {
+  var declarations = {}
+  var current = {}
+  var className = undefined
+  var previous = undefined
+  R.addIndex(R.forEach)((line, index) => {
+    var type = identify(line)
+    if (type.id === 'start') {
+      current = {}
+    } else if (type.id === 'annotation') {
+      var value = type.value === undefined || type.value === '' ? true : type.value
+      var annotation = {value: value, line: index + 1, column: type.column}
+      if (current[type.name] === undefined) current[type.name] = annotation
+      else current[type.name] = [].concat(current[type.name], annotation)
+    } else if (type.id === 'class' || type.id === 'static' || type.id === 'declaration') {
+      if (type.id === 'class') className = type.name
+      var name = type.id === 'static' ? className + '.' + type.name : type.name
+      if (type.id !== 'static' || className) declarations[name] = R.merge(declarations[name] || {}, current)
+      current = {}
+    } else if (previous === 'end') {
+      current = {}
+    }
+    previous = type.id
+  }, source.split(/\r?\n/))
+  return declarations
+}
+
+module.exports.read = read
+
+/* == Private functions == */
+
+/**
+ * The types of line, in the order in which they are tried. Each declaration has either a fixed name or else 
+ * the group of its pattern which gives the name.
+ */
+var LINES = [
+  {id: 'start', pattern: /^\s*\/\*\*/},
+  {id: 'annotation', pattern: /^\s*\*\s?@([\w:-_\(\)]+)(\s+(.*))?/},
+  {id: 'end', pattern: /^\s*\*\/\s*$/},
+  {id: 'static', pattern: /^\s+static\s+(async\s+)?\*?\s*(\w+)\s*\(/, group: 2},
+  {id: 'class', pattern: /^\s?export\s+default\s+class\b/, name: 'default'},
+  {id: 'class', pattern: /^\s?(export\s+)?class\s+(\w+)/, group: 2},
+  {id: 'class', pattern: /^\s?exports\.(\w+)\s?=\s?class\b/, group: 1},
+  {id: 'class', pattern: /^\s?module\.exports\s?=\s?class\b/, name: 'anonymous'},
+  {id: 'class', pattern: /^\s?export\s+(const|let|var)\s+(\w+)\s*=\s*class\b/, group: 2},
+  {id: 'declaration', pattern: /^\s?export\s+default\s+(async\s+)?(function|\()/, name: 'default'},
+  {id: 'declaration', pattern: /^\s?(export\s+)?(async\s+)?function\s*\*?\s*(\w+)/, group: 3},
+  {id: 'declaration', pattern: /^\s?exports\.(\w+)\s?=\s?(async\s+)?(function|\()/, group: 1},
+  {id: 'declaration', pattern: /^\s?module\.exports\s?=\s?(async\s+)?function/, name: 'anonymous'},
+  {id: 'declaration', pattern: /exports\[['"](\w+)['"]\]\s*=\s*function/, group: 1},
+  {id: 'declaration', pattern: /^\s*(export\s+)?(var|let|const)\s+(\w+)\s*=\s*(async\s+)?(function|new Function|\(.*?\)\s*=>)/, group: 3},
+  {id: 'declaration', pattern: /^\s?module.exports\s*=\s*{/, name: 'module'}
+]
+
+/** Identify the type of a line, i.e. {id, name, value, column} (or {} if it is of no interest) */
+var identify = function(line) {
+  var type = R.find((type) => type.pattern.test(line), LINES)
+  if (!type) return {}
+  var match = line.match(type.pattern)
+  if (type.id === 'annotation') {
+    var text = match[3] || ''
+    return {id: type.id, name: match[1], value: text.trim(), column: line.length - text.length + 1}
+  }
+  return {id: type.id, name: type.name || match[type.group]}
+}
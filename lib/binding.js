@@ -0,0 +1,176 @@
+var R = require('ramda')
+var decorators = require('./decorators')
+
+/**
+ * A fluent builder which registers a provider of a logical name with a Context (see Context#bind), e.g.
+ *
+ *   context.bind('db').toFactory(connect).async('promise').requires('config')
+ *   context.bind('cache').toClass(Cache).scope('prototype')
+ *   context.bind('config').toValue({uri: '...'})
+ *   context.bind('database').toAlias('db')
+ *
+ * The provider is registered (just as if by Context#register) as soon as its target is given, and is registered
+ * again, replacing it, as each further setting is given. A function or class which was decorated (see
+ * lib/decorators) is registered with the settings of its decorators, which may then be overridden.
+ *
+ * @param context   The Context with which to register the provider
+ * @param name      The logical name
+ */
+var Binding = function(context, name) {
+  this.context = context
+  this.name = name
+  this.settings = {scope: 'singleton', async: false, dependencies: [], options: {}}
+}
+
+/** Provide the objects produced by a factory method (which may be a constructor) */
+Binding.prototype.toFactory = function(factoryMethod) {
+  return bindTo(this, factoryMethod, false)
+}
+
+/** Provide instances of a class, which are built with 'new' */
+Binding.prototype.toClass = function(Class) {
+  if (!(Class instanceof Function)) throw new TypeError('Cannot bind ' + this.name + ' to ' + Class + ', which is not a class')
+  return bindTo(this, Class, false)
+}
+
+/** Provide a value (even if it is a function) */
+Binding.prototype.toValue = function(value) {
+  return bindTo(this, value, true)
+}
+
+/** 
+ * Provide whatever the provider of another name provides (and in the same scope, since the Context resolves the 
+ * alias to that provider, which builds it)
+ */
+Binding.prototype.toAlias = function(name) {
+  this.settings.scope = 'prototype'
+  this.settings.dependencies = [name]
+  this.settings.options = R.merge(this.settings.options, {alias: name})
+  return bindTo(this, (instance) => instance, false)
+}
+
+/** Set the scope: 'singleton' (the default), 'prototype', 'request' or 'pool' */
+Binding.prototype.scope = function(scope) {
+  return change(this, {scope: scope})
+}
+
+/** Provide a pool of the objects (i.e. scope='pool') sized by settings of the form {min, max, idleTimeout} */
+Binding.prototype.pool = function(settings) {
+  var options = R.merge(this.settings.options, R.pick(['min', 'max', 'idleTimeout'], settings || {}))
+  return change(this, {scope: 'pool', options: options})
+}
+
+/** Set the asynchronicity of the factory method: false (the default), 'promise' or 'callback' */
+Binding.prototype.async = function(async) {
+  return change(this, {async: async})
+}
+
+/** Set the dependencies: logical names, or special forms such as all('tag'), either as arguments or in an array */
+Binding.prototype.requires = function() {
+  return change(this, {dependencies: R.flatten(Array.prototype.slice.call(arguments))})
+}
+
+/** Contribute the objects to collections with one or more tags, either as arguments or in an array */
+Binding.prototype.tag = function() {
+  return changeOptions(this, {tag: R.flatten(Array.prototype.slice.call(arguments))})
+}
+
+/** Set the order of the objects within collections */
+Binding.prototype.order = function(order) {
+  return changeOptions(this, {order: order})
+}
+
+/** Give this provider precedence over any other of the same name (unless primary is false) */
+Binding.prototype.primary = function(primary) {
+  return changeOptions(this, {primary: primary === undefined ? true : primary})
+}
+
+/** Set the number of milliseconds to wait for the factory method */
+Binding.prototype.timeout = function(timeout) {
+  return changeOptions(this, {timeout: timeout})
+}
+
+/** Set the number of times to retry the factory method if it fails */
+Binding.prototype.retries = function(retries) {
+  return changeOptions(this, {retries: retries})
+}
+
+/** Set the number of milliseconds to wait before the first retry */
+Binding.prototype.backoff = function(backoff) {
+  return changeOptions(this, {backoff: backoff})
+}
+
+/** Name the method to invoke on each object once it is built */
+Binding.prototype.postConstruct = function(methodName) {
+  return changeOptions(this, {postConstruct: methodName})
+}
+
+/** Name the method to invoke on each object when it is disposed of */
+Binding.prototype.preDestroy = function(methodName) {
+  return changeOptions(this, {preDestroy: methodName})
+}
+
+/** Name the method to invoke on the object to check whether it is healthy (see @HealthCheck) */
+Binding.prototype.healthCheck = function(methodName) {
+  return changeOptions(this, {healthCheck: methodName})
+}
+
+/** Register the provider only when one of the profiles is active, either as arguments or in an array (see @Profile) */
+Binding.prototype.profile = function() {
+  return changeOptions(this, {profile: R.flatten(Array.prototype.slice.call(arguments))})
+}
+
+/** Register the provider only when a condition holds, e.g. {property: 'cache.url'} (see @ConditionalOn) */
+Binding.prototype.conditionalOn = function(condition) {
+  return changeOptions(this, {conditionalOn: condition})
+}
+
+/** Make the objects interceptors of those that a matcher selects, e.g. {tag: 'repositories'} (see @Intercept) */
+Binding.prototype.intercept = function(matcher) {
+  return changeOptions(this, {intercept: matcher})
+}
+
+/** Decorate the objects provided under another name, which are passed to the factory method (see @Decorates) */
+Binding.prototype.decorates = function(name) {
+  return changeOptions(this, {decorates: name})
+}
+
+module.exports = Binding
+
+/* == Private functions == */
+
+/** Set the target of a Binding, along with the settings of any decorators of it, and register the provider */
+var bindTo = function(binding, target, literal) {
+  binding.target = target
+  binding.literal = literal
+  var declared = literal ? undefined : decorators.declared(target)
+  if (declared) {
+    binding.settings = R.merge(binding.settings, R.pick(['scope', 'async', 'dependencies'], declared))
+    binding.settings.options = R.merge(binding.settings.options, R.omit(['name', 'scope', 'async', 'dependencies'], declared))
+  }
+  return register(binding)
+}
+
+/** Change some of the settings of a Binding and register the provider again (if it has a target yet) */
+var change = function(binding, settings) {
+  binding.settings = R.merge(binding.settings, settings)
+  return register(binding)
+}
+
+/** Change some of the options of a Binding and register the provider again (if it has a target yet) */
+var changeOptions = function(binding, options) {
+  return change(binding, {options: R.merge(binding.settings.options, options)})
+}
+
+/** Register the provider of a Binding with its Context, in place of any that the Binding registered before */
+var register = function(binding) {
+  if (!binding.hasOwnProperty('target')) return binding
+  var context = binding.context
+  var previous = binding.factory
+  if (previous && context.factories[binding.name] === previous) delete context.factories[binding.name]
+  if (previous) context.contributions = R.reject((fac) => fac === previous, context.contributions)
+  var settings = binding.settings
+  context.register(binding.name, binding.target, binding.literal, settings.scope, settings.async, settings.dependencies, settings.options)
+  binding.factory = context.factories[binding.name]
+  return binding
+}
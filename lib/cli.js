@@ -0,0 +1,199 @@
+var R = require('ramda')
+var Promise = require('promise')
+var path = require('path')
+var Context = require('./context')
+var dependencies = require('./dependencies')
+var manifests = require('./manifest')
+
+/**
+ * The 'abdicate' command-line tool, which inspects the providers found by scanning some root paths
+ * without instantiating anything:
+ * 
+ *   abdicate list [rootpaths...]
+ *   abdicate graph [--format=dot|mermaid|json] [rootpaths...]
+ *   abdicate why <name> [rootpaths...]
+ *   abdicate manifest [--out=file] [rootpaths...]
+ * 
+ * The rootpaths default to the current directory. The files which are scanned may be filtered with the
+ * options --include, --exclude and --extensions, each a comma-separated list (see lib/filter), and the
+ * active profiles chosen with --profiles (ditto).
+ */
+
+var USAGE = [
+  'Usage: abdicate <command> [--include=globs] [--exclude=globs] [--extensions=exts] [--profiles=names] [rootpaths...]',
+  '',
+  'Commands:',
+  '  list                                 List every provider with its scope, async mode, dependencies and source',
+  '  graph [--format=dot|mermaid|json]    Export the graph of dependencies (default format: dot)',
+  '  why <name>                           Show which providers depend (transitively) on a name',
+  '  manifest [--out=file]                Write a manifest of the providers for a Context to load instead of scanning'
+].join('\n')
+
+/**
+ * Run the tool.
+ * 
+ * @param args    The command-line arguments (excluding 'node' and the script)
+ * @param out     The stream to write output to (e.g. process.stdout)
+ * @param err     The stream to write errors to (e.g. process.stderr)
+ * @returns {Promise} that resolves to the exit code
+ */
+var run = function(args, out, err) {
+  var command = args[0]
+  var options = R.fromPairs(R.map(parseOption, R.filter(isOption, R.tail(args))))
+  var positional = R.reject(isOption, R.tail(args))
+  var write = (text) => out.write(text + '\n')
+  if (command === 'list') {
+    return scan(positional, options, err).then((context) => write(list(context))).then(R.always(0), failure(err))
+  } else if (command === 'graph' && R.contains(options.format || 'dot', R.keys(formats))) {
+    return scan(positional, options, err).then((context) => write(formats[options.format || 'dot'](context))).then(R.always(0), failure(err))
+  } else if (command === 'why' && positional.length > 0) {
+    return scan(R.tail(positional), options, err).then((context) => write(why(context, positional[0]))).then(R.always(0), failure(err))
+  } else if (command === 'manifest') {
+    return scan(positional, options, err).then((context) => {
+      if (options.out) return manifests.write(options.out, context.manifest())
+      else write(JSON.stringify(context.manifest(), null, 2))
+    }).then(R.always(0), failure(err))
+  } else {
+    err.write(USAGE + '\n')
+    return Promise.resolve(1)
+  }
+}
+
+/** Describe every provider in a Context, one per line */
+var list = function(context) {
+  var rows = R.map((fac) => [
+    fac.name, 
+    fac.scope, 
+    'async=' + fac.async, 
+    'requires [' + R.map(dependencies.describe, fac.dependencies).join(', ') + ']', 
+    fac.source ? fac.source.path + ' (' + fac.source.functionName + ')' : '(registered)'
+  ], sortedFactories(context))
+  return R.map(R.join('  '), alignColumns(rows)).join('\n')
+}
+
+/** Export the graph of a Context in the DOT language of Graphviz (with edges from requirer to provider) */
+var dot = function(context) {
+  var quote = JSON.stringify
+  var missing = R.map((name) => '  ' + quote(name) + ' [style=dashed];', missingNames(context))
+  var nodes = R.map((fac) => '  ' + quote(fac.name) + ';', sortedFactories(context))
+  var edges = R.map((edge) => '  ' + quote(edge[1]) + ' -> ' + quote(edge[0]) + ';', sortedEdges(context))
+  return R.flatten(['digraph abdicate {', nodes, missing, edges, '}']).join('\n')
+}
+
+/** Export the graph of a Context as a Mermaid flowchart (with edges from requirer to provider) */
+var mermaid = function(context) {
+  var names = R.concat(R.pluck('name', sortedFactories(context)), missingNames(context))
+  var id = (name) => 'n' + names.indexOf(name)
+  var nodes = R.map((name) => '  ' + id(name) + '[' + JSON.stringify(name) + ']', names)
+  var edges = R.map((edge) => '  ' + id(edge[1]) + ' --> ' + id(edge[0]), sortedEdges(context))
+  return R.flatten(['graph LR', nodes, edges]).join('\n')
+}
+
+/** Export the graph of a Context as JSON */
+var json = function(context) {
+  return JSON.stringify({
+    providers: R.map((fac) => {
+      return {
+        name: fac.name, 
+        scope: fac.scope, 
+        async: fac.async, 
+        dependencies: R.map(dependencies.describe, fac.dependencies), 
+        source: fac.source || null
+      }
+    }, sortedFactories(context)),
+    missing: missingNames(context),
+    edges: R.map((edge) => { 
+      return {provider: edge[0], requirer: edge[1]} 
+    }, sortedEdges(context))
+  }, null, 2)
+}
+
+/** Describe the providers which depend (transitively) upon a name, with the path by which each does so */
+var why = function(context, name) {
+  var edges = context.graph()
+  var paths = {}
+  var queue = [[name]]
+  while (queue.length > 0) {
+    var chain = queue.shift()
+    var requirers = R.map(R.last, R.filter((edge) => edge[0] === R.last(chain), edges))
+    R.forEach((requirer) => {
+      if (!paths[requirer] && requirer !== name) {
+        paths[requirer] = R.append(requirer, chain)
+        queue.push(paths[requirer])
+      }
+    }, requirers)
+  }
+  var dependents = R.keys(paths).sort()
+  if (dependents.length === 0) return 'Nothing depends on ' + name
+  return R.map((dependent) => dependent + '  (' + R.reverse(paths[dependent]).join(' -> ') + ')', dependents).join('\n')
+}
+
+var formats = {dot: dot, mermaid: mermaid, json: json}
+
+module.exports.run = run
+module.exports.list = list
+module.exports.dot = dot
+module.exports.mermaid = mermaid
+module.exports.json = json
+module.exports.why = why
+
+/* == Private functions == */
+
+/** Is a command-line argument an option such as --format=dot ? */
+var isOption = function(arg) {
+  return arg.indexOf('--') === 0
+}
+
+/** Parse an option such as --format=dot into a pair ['format', 'dot'] */
+var parseOption = function(arg) {
+  var parts = arg.substring(2).split('=')
+  return [parts[0], parts.slice(1).join('=') || true]
+}
+
+/** 
+ * Scan the rootpaths (default: the current directory) to register their providers, without instantiating anything,
+ * filtering the files and activating profiles according to the options (if any), and logging any warnings (such 
+ * as functions which cannot be found) to the stream for errors, apart from the output
+ */
+var scan = function(rootpaths, options, err) {
+  var roots = rootpaths.length > 0 ? rootpaths : ['.']
+  var lists = R.pick(['include', 'exclude', 'extensions', 'profiles'], options)
+  var filter = R.mapObj((list) => R.map(R.trim, String(list).split(',')), lists)
+  var settings = R.merge(filter, {logger: streamLogger(err)})
+  return new Context(R.map((root) => path.resolve(root), roots), settings).bootstrap(false)
+}
+
+/** A logger (see lib/diagnostics) which writes warnings and errors to a stream */
+var streamLogger = function(stream) {
+  var write = (message) => stream.write(message + '\n')
+  return {debug: () => {}, info: () => {}, warn: write, error: write}
+}
+
+/** Report a failure and resolve to the exit code */
+var failure = R.curry(function(err, error) {
+  err.write(error.message + '\n')
+  return 1
+})
+
+/** The InstanceFactories of a Context, sorted by name */
+var sortedFactories = function(context) {
+  return R.sortBy(R.prop('name'), R.values(context.factories))
+}
+
+/** The edges of the graph of a Context, sorted by requirer and then provider */
+var sortedEdges = function(context) {
+  return R.sortBy((edge) => edge[1] + '\u0000' + edge[0], context.graph())
+}
+
+/** The names which are required, but which have no provider, in a Context */
+var missingNames = function(context) {
+  return R.uniq(R.reject((name) => context.factories[name], R.map(R.head, sortedEdges(context)))).sort()
+}
+
+/** Pad the cells of the rows of a table so that its columns are aligned */
+var alignColumns = function(rows) {
+  var widths = R.map((column) => Math.max.apply(null, R.map((row) => row[column].length, rows)), R.range(0, rows.length ? rows[0].length : 0))
+  return R.map((row) => R.addIndex(R.map)((cell, column) => {
+    return column === row.length - 1 ? cell : cell + R.repeat(' ', widths[column] - cell.length).join('')
+  }, row), rows)
+}
@@ -0,0 +1,37 @@
+var R = require('ramda')
+var parser = require('./parser')
+var errors = require('./errors')
+
+/**
+ * Annotation wrapper to parse function annotations like:
+ * "@ConditionalOn property='cache.redis.url'"
+ * or
+ * "@ConditionalOn env='NODE_ENV' value='production'"
+ * or
+ * "@ConditionalOn name='cache' missing=true"
+ * 
+ * (The prefix "property=" is optional, i.e. "@ConditionalOn 'cache.redis.url'" is the same as the first.)
+ * Registers the function only when a configuration property is defined (see lib/properties), an 
+ * environment variable is set or a provider of another name is registered, and (for a property or 
+ * an environment variable) has the "value", if one is given. If "missing" is true then the function is 
+ * registered only when the property, variable or provider is absent instead. Conditions upon names 
+ * are decided after every other provider has been registered, so a fallback may be declared with 
+ * "@ConditionalOn name='cache' missing=true" wherever it is.
+ * 
+ * @param annotation  The text of the annotation
+ * @param location    [Optional] Where the text starts, i.e. {path, line, column}, for reporting syntax errors
+ * @throws AnnotationSyntaxError unless exactly one of "property", "env" and "name" is declared
+ */
+var ConditionalOn = function(annotation, location) {
+  location = location || {line: 1, column: 1}
+  var declared = parser.attributes(annotation, location, ConditionalOn.attributes)
+  if (R.keys(R.pick(['property', 'env', 'name'], declared)).length !== 1) {
+    throw new errors.AnnotationSyntaxError('@ConditionalOn must declare exactly one of property, env or name', location)
+  }
+  this.conditionalOn = declared
+}
+
+/** The attributes that may be declared in a @ConditionalOn annotation */
+ConditionalOn.attributes = ['property', 'env', 'name', 'value', 'missing']
+
+module.exports = ConditionalOn
@@ -2,21 +2,64 @@ var R = require('ramda')
 var Promise = require('promise')
 var recursiveRead = Promise.denodeify(require('recursive-readdir'))
 var dag = require('breeze-dag')
-var annotations = require('annotations')
-var readAnnotationsFor = Promise.denodeify(annotations.get)
+var fs = require('fs')
+var stat = Promise.denodeify(fs.stat)
+var readFile = Promise.denodeify(fs.readFile)
+var extname = require('path').extname
+var pathToFileURL = require('url').pathToFileURL
 var Requires = require('./requires')
 var Provides = require('./provides')
+var PostConstruct = require('./postconstruct')
+var PreDestroy = require('./predestroy')
+var HealthCheck = require('./healthcheck')
+var Profile = require('./profile')
+var ConditionalOn = require('./conditionalon')
+var Intercept = require('./intercept')
+var Decorates = require('./decorates')
+var interceptors = require('./interceptors')
 var InstanceFactory = require('./instancefactory')
+var Pool = require('./pool')
+var errors = require('./errors')
+var dependencies = require('./dependencies')
+var Properties = require('./properties')
+var Diagnostics = require('./diagnostics')
+var manifests = require('./manifest')
+var Filter = require('./filter')
+var annotations = require('./annotations')
+var decorators = require('./decorators')
+var Binding = require('./binding')
 
 /**
  * Constructor of a DI context
  * 
  * @param rootpaths   An array of paths to scan for components
+ * @param options     An (optional) object of settings: 'conflicts' is the policy for providers of the same name,
+ *                    either 'error' (the default) or 'override' (explicitly registered providers replace scanned ones),
+ *                    'properties' is an array of sources of configuration properties (see lib/properties), and
+ *                    'timeout', 'retries' and 'backoff' are the defaults for every provider (see InstanceFactory),
+ *                    'events' is an EventEmitter and 'logger' a logger for the Context's diagnostics (see lib/diagnostics),
+ *                    'manifest' is a manifest (or the path of one) to load instead of scanning (see lib/manifest) and
+ *                    'checkManifest' causes files which have changed since the manifest was created to be scanned,
+ *                    'include', 'exclude' and 'extensions' decide which files are scanned (see lib/filter) and
+ *                    'profiles' is an array (or a comma-separated list) of the active profiles (see @Profile)
  */
-var Context = function(rootpaths) {
+var Context = function(rootpaths, options) {
   this.rootpaths = ensureTrailingSlash(rootpaths)
+  this.options = R.merge({conflicts: 'error'}, options || {})
+  this.properties = new Properties(this.options.properties)
+  this.diagnostics = new Diagnostics(this.options)
   this.factories = {}
   this.instances = {}
+  this.contributions = []
+  this.pending = {}
+  this.failures = {}
+  this.bootstrapped = false
+  this.scans = {}
+  this.versions = {}
+  this.filter = new Filter(this.options)
+  this.interceptors = []
+  this.postProcessors = []
+  this.profiles = typeof this.options.profiles === 'string' ? R.map(R.trim, this.options.profiles.split(',')) : this.options.profiles || []
 }
 
 /* == API == */
@@ -27,60 +70,233 @@ var Context = function(rootpaths) {
  * @param name                      The logical name of the object instance(s) produced by the function
  * @param factoryMethodOrInstance   The factory method to produce instances, or else a literal instance 
  * @param forceIntance              Treat factoryMethodOrInstance as an instance even if instanceof Funtion == true 
- * @param scope                     The scope ('prototype' or 'singleton') of the object
+ * @param scope                     The scope ('prototype', 'singleton', 'request' or 'pool') of the object
  * @param async                     False (for synchronous factory methods), 'promise' or 'callback'
  * @param dependencies              An array of other logical names that the factory method requires when called.
+ * @param options                   An (optional) object of further settings: 'postConstruct' and 'preDestroy' 
+ *                                  name methods to invoke on each instance after it is built and before it is disposed,
+ *                                  'healthCheck' names a method which checks whether it is healthy (see checkHealth()),
+ *                                  'tag' contributes the instances to collections (see all()) and 'order' sorts them there,
+ *                                  'primary' gives the provider precedence over any other of the same name,
+ *                                  'timeout', 'retries' and 'backoff' govern failures (see InstanceFactory),
+ *                                  'profile' and 'conditionalOn' decide whether to register it at all (as per
+ *                                  @Profile and @ConditionalOn), 'intercept' makes its instances interceptors
+ *                                  (as per @Intercept), 'decorates' makes it a decorator (as per @Decorates) and
+ *                                  'min', 'max' and 'idleTimeout' size a pool (for scope='pool', see lib/pool).
+ * @throws DuplicateProviderError   if a provider of the same name is already registered and the conflict cannot be resolved
  */
-Context.prototype.register = function(name, factoryMethodOrInstance, forceIntance, scope, async, dependencies) {
-  this.factories[name] = new InstanceFactory(name, factoryMethodOrInstance, forceIntance, scope, async, dependencies)
+Context.prototype.register = function(name, factoryMethodOrInstance, forceIntance, scope, async, dependencies, options) {
+  var skipped = inactiveReason(this, options || {})
+  if (skipped) {
+    this.diagnostics.emit('skip', {name: name, reason: skipped, source: (options || {}).source})
+    return
+  }
+  var fac = new InstanceFactory(name, factoryMethodOrInstance, forceIntance, scope, async, dependencies, options)
+  var existing = this.factories[name]
+  var winner = existing ? resolveConflict(this, existing, fac) : fac
+  var bothContribute = existing && existing.tags.length > 0 && fac.tags.length > 0
+  if (existing && winner !== existing && !bothContribute) this.contributions = R.reject(R.equals(existing), this.contributions)
+  if (fac.tags.length > 0 && (winner === fac || bothContribute)) this.contributions.push(fac)
+  if (winner !== existing) this.factories[name] = fac
+  this.diagnostics.emit('register', {name: name, scope: fac.scope, async: fac.async, source: fac.source})
+}
+
+/**
+ * Begin to register a provider of a logical name with this Context, fluently, e.g. 
+ * context.bind('db').toFactory(connect).async('promise').requires('config') (see lib/binding)
+ * 
+ * @param name    The logical name of the object instance(s)
+ * @returns {Binding} which registers the provider once it is given a target
+ */
+Context.prototype.bind = function(name) {
+  return new Binding(this, name)
 }
 
 /**
- * Scan the paths and read the annotated modules in those paths to register the annotated functions.
- * If eager=true then this also populates the Context's instances. In any case, will asynchronously 
+ * Apply an interceptor (see lib/interceptors) to the methods of the objects which are built (from then on) by 
+ * the providers that a matcher selects, in this Context or its children. Interceptors apply in their order 
+ * (lowest, i.e. outermost, first) and then in the order in which they were added.
+ * 
+ * @param matcher       A glob pattern of logical names (e.g. 'db.*'), a RegExp of them, a function of an 
+ *                      InstanceFactory or an object of the form {name, tag, order}
+ * @param interceptor   A function which is passed each invocation, i.e. {target, provider, method, args, proceed}
+ */
+Context.prototype.intercept = function(matcher, interceptor) {
+  this.interceptors.push({matches: interceptors.predicate(matcher), interceptor: interceptor, order: matcher.order || 0})
+}
+
+/**
+ * Add a post-processor, which is applied to every instance that is built (from then on) by this Context or its 
+ * children, including literals when they are first built, after any @PostConstruct method and decorators (see 
+ * @Decorates) but before it is cached or intercepted. A post-processor may return the instance, or else replace 
+ * it (e.g. with a wrapper), or reject the build by throwing an error (or returning a rejected Promise). 
+ * Post-processors apply in the order in which they were added.
+ * 
+ * @param postProcessor   A function (instance, instanceFactory) => instance (or a Promise for it)
+ */
+Context.prototype.addPostProcessor = function(postProcessor) {
+  this.postProcessors.push(postProcessor)
+}
+
+/**
+ * Enhance an instance which an InstanceFactory has built (or its literal), by applying its decorators (see 
+ * @Decorates), the post-processors (see addPostProcessor()) and then the interceptors (see intercept()), in that 
+ * order. This is how an InstanceFactory finishes each instance before it is cached.
+ * 
+ * @param instanceFactory   The InstanceFactory
+ * @param chain             The logical names of the providers being built that led to it (ending with it)
+ * @param instance          The instance that it built
+ * @returns {Promise} that resolves to the enhanced instance
+ */
+Context.prototype.enhance = function(instanceFactory, chain, instance) {
+  var self = this
+  var decorators = R.sortBy(R.prop('order'), R.sortBy(R.prop('name'), 
+    R.filter((fac) => fac.decorates === instanceFactory.name, R.values(allFactories(self)))))
+  var decorated = R.reduce((promise, decorator) => {
+    return promise.then((current) => decorator.decorate(self, R.append(decorator.name, chain), current))
+  }, Promise.resolve(instance), decorators)
+  var processed = R.reduce((promise, postProcessor) => {
+    return promise.then((current) => postProcessor(current, instanceFactory))
+  }, decorated, allPostProcessors(self))
+  return processed.then((current) => {
+    return self.interceptorsOf(instanceFactory, chain).then((found) => interceptors.wrap(current, instanceFactory.name, found))
+  })
+}
+
+/**
+ * Get the interceptors which apply to the instances of an InstanceFactory, i.e. those added to this Context (or 
+ * its ancestors) and the instances of those providers that declare @Intercept, other than any in the chain 
+ * of providers being built. This is how an InstanceFactory finds the interceptors to wrap its instances in.
+ * 
+ * @param instanceFactory   The InstanceFactory
+ * @param chain             The logical names of the providers being built that led to it (ending with it)
+ * @returns {Promise} that resolves to an array of interceptors, outermost first
+ */
+Context.prototype.interceptorsOf = function(instanceFactory, chain) {
+  var self = this
+  var declared = R.map((fac) => {
+    return {matches: interceptors.predicate(fac.intercept), name: fac.name, order: fac.intercept.order || 0}
+  }, R.filter((fac) => !!fac.intercept && !R.contains(fac.name, chain), R.values(allFactories(self))))
+  var applicable = R.sortBy(R.prop('order'), R.filter((entry) => entry.matches(instanceFactory), 
+    R.concat(allInterceptors(self), R.sortBy(R.prop('name'), declared))))
+  return Promise.all(R.map((entry) => entry.interceptor || self.resolve(entry.name, chain), applicable))
+}
+
+/**
+ * Scan the paths and read the annotated modules in those paths to register the annotated functions. Given a
+ * manifest, the annotations are read from that instead (or, if checkManifest=true, from any file whose 
+ * modification time differs from that in the manifest, after which a manifest file is brought up to date). If 
+ * eager=true then this also populates the Context's instances, building up to 'concurrency' of them at the same 
+ * time (default 1, or Infinity for as many as the dependencies allow). If strict=true then the Context is 
+ * validated (see validate()) before anything is instantiated, otherwise it rejects with the AnnotationSyntaxError 
+ * of the first malformed annotation or unknown @Provides attribute (if any). In any case, will asynchronously 
  * return itself either via the Callback (if provided) or else as a Promise.
  * 
+ * @param options     Either the boolean 'eager' or else an object of the form {eager, strict, concurrency}
  * @param callback    The (optional) callback for non-Promise based invocation. 
  * @returns {Promise} that resolves to the Context itself (if not using Node-style callbacks)
  */
-Context.prototype.bootstrap = function(eager, callback) {
+Context.prototype.bootstrap = function(options, callback) {
   var self = this
-  return findFiles(self.rootpaths)
+  var settings = toBootstrapSettings(options)
+  return scan(self)
     .then(applyAnnotations(self))
     .then(() => {
-      if (eager) return populate(self)
+      if (settings.strict) return self.validate()
+      var malformed = annotationProblems(self.scans)
+      if (malformed.length > 0) throw malformed[0].error
+    })
+    .then(() => {
+      if (settings.eager) return populate(self, settings.concurrency)
       else return Promise.resolve(self)
+    })
+    .then((result) => {
+      self.bootstrapped = true
+      return result
     }).nodeify(callback)
 }
 
+/**
+ * Check how the registered providers are wired together, without instantiating anything. Finds every
+ * dependency that has no provider, every factory method whose number of parameters does not match its 
+ * dependencies (plus the callback, if async='callback'), every malformed annotation and unknown @Provides 
+ * attribute found by scanning, every required configuration property that is not defined and any circular 
+ * dependency. Rejects with a single ValidationError listing all of them if there are any, otherwise returns 
+ * itself either via the Callback (if provided) or else as a Promise.
+ * 
+ * @param callback    The (optional) callback for non-Promise based invocation. 
+ * @returns {Promise} that resolves to the Context itself (if not using Node-style callbacks)
+ */
+Context.prototype.validate = function(callback) {
+  var problems = findProblems(this)
+  var result = problems.length > 0 ? Promise.reject(new errors.ValidationError(problems)) : Promise.resolve(this)
+  return result.nodeify(callback)
+}
+
 /**
  * Get the object instance corresponding to the logical name. This will return a Promise if no callback is 
  * supplied, otherwise it will invoke the callback in the standard NodeJs (err, result) style.
  * 
  * The instance will be created new if it's scope = "prototype" otherwise will return the same
- * instance each time (scope = 'singleton').
+ * instance each time (scope = 'singleton'). Rejects with a MissingProviderError if no provider is registered 
+ * for the name.
  * 
  * @param name        The logical name (within this context) of the instance to get
  * @param callback    The (optional) callback for non-Promise style invocation. 
  * @returns {Promise} that resolves to the requested Object instance (if not using Node-style callbacks)
  */
 Context.prototype.getInstance = function(name, callback) {
+  return this.resolve(name, []).nodeify(callback)
+}
+
+/**
+ * Get the object instance corresponding to the logical name on behalf of the chain of providers which 
+ * (transitively) require it. This is how an InstanceFactory fetches its dependencies; it rejects with a 
+ * CircularDependencyError if the name is already part of the chain, or a MissingProviderError (naming the 
+ * provider that required it) if it has no provider.
+ * 
+ * @param name        The logical name (within this context) of the instance to get, or else one of the 
+ *                    special forms of dependency (see lib/dependencies)
+ * @param chain       The logical names of the providers being built that led to this one, outermost first
+ * @returns {Promise} that resolves to the requested Object instance
+ */
+Context.prototype.resolve = function(name, chain) {
   var self = this
+  if (!dependencies.isName(name)) return resolveDependency(self, name, chain)
   return new Promise((resolve, reject) => {
+    var owner = ownerOf(self, name)
+    var fac = owner && owner.factories[name]
     var instance = self.instances[name]
-    var fac = self.factories[name]
-    if (instance && fac && fac.scope != 'prototype') {
+    if (R.contains(name, chain)) {
+      reject(circularDependency(self, R.append(name, chain.slice(chain.indexOf(name)))))
+    } else if (fac && fac.decorates !== undefined) {
+      reject(new Error(name + ' decorates ' + fac.decorates + ' and so provides no instance of its own'))
+    } else if (fac && fac.alias !== undefined) {
+      resolve(self.resolve(fac.alias, R.append(name, chain))) // the instance is built (and enhanced) only as the other name
+    } else if (fac && isShared(fac) && owner !== self) {
+      resolve(owner.resolve(name, chain)) // singletons (and pools) are built and cached by the Context that registered them
+    } else if (instance && fac && fac.scope != 'prototype') {
       resolve(instance)
+    } else if (self.pending[name]) {
+      resolve(self.pending[name]) // already being built, so share the same instance
     } else if (fac) {
-      return fac.build(self).then(cache(self, name)).then(resolve, (err) => {
-        console.log('Rejecting due to ' + err)
+      var built = fac.build(self, R.append(name, chain)).then(cache(self, name))
+      if (fac.scope != 'prototype') {
+        self.pending[name] = built
+        built.then(forget(self, name), forget(self, name))
+      }
+      return built.then(resolve, (err) => {
+        self.failures[name] = err
+        self.diagnostics.emit('build:error', {name: name, chain: chain, error: err})
         reject(err)
       }) 
-    } else {
-      if (name !== DUMMY_DEPENDENT) console.log("No InstanceFactory for " + name)
+    } else if (name === DUMMY_DEPENDENT) {
       resolve(null)
+    } else {
+      self.diagnostics.emit('missing', {name: name, chain: chain})
+      reject(new errors.MissingProviderError(name, chain))
     }
-  }).nodeify(callback)
+  })
 }
 
 /**
@@ -111,12 +327,289 @@ Context.prototype.getInstances = function(names, callback) {
     ).nodeify(callback)
 }
 
+/**
+ * Create a child of this Context, e.g. to serve a single request. The child inherits all of the providers 
+ * registered with this Context, and shares its singletons, but may register providers (or values such as 
+ * 'request' or 'user') of its own. Instances of scope='request' are built and cached by the child itself,
+ * and so may depend upon the child's own providers.
+ * 
+ * @returns {Context} the child Context
+ */
+Context.prototype.createChild = function() {
+  var child = new Context(this.rootpaths, R.omit(['properties'], this.options))
+  child.parent = this
+  child.properties = this.properties
+  child.diagnostics = this.diagnostics
+  return child
+}
+
+/**
+ * Dispose of the singletons in this Context, in the reverse order of their dependencies (i.e. an object
+ * is disposed of before anything it requires), invoking the @PreDestroy method of each. Instances of
+ * scope='request' that this Context built are disposed of too, as are the pools of scope='pool' (which are 
+ * drained), but the singletons of any parent Context are not. Afterwards the Context holds no instances, other 
+ * than literals, until they are requested again. If a @PreDestroy method fails, every other instance is still 
+ * disposed of, after which this rejects with a ShutdownError listing the failures.
+ * 
+ * @param callback    The (optional) callback for non-Promise based invocation. 
+ * @returns {Promise} that resolves to the Context itself (if not using Node-style callbacks)
+ */
+Context.prototype.shutdown = function(callback) {
+  var self = this
+  var failures = []
+  var dispose = (name) => destroyInstance(self, name).then(null, (err) => {
+    failures.push({name: name, error: err})
+  })
+  return Promise.resolve(buildEdges(allFactories(self)))
+    .then(R.map(R.reverse))
+    .then(traverseDag(self, 1, dispose))
+    .then(() => {
+      if (failures.length > 0) throw new errors.ShutdownError(failures)
+      return self
+    }).nodeify(callback)
+}
+
+/**
+ * Reload some files after they have changed (or been removed): forget their modules, read their annotations 
+ * afresh and re-register their providers. The singletons that they provided, and every singleton which depends
+ * (transitively) upon those, are disposed of, dependents first (invoking their @PreDestroy methods), and those 
+ * which had been built are then rebuilt. Emits a 'reload' event listing the names which were rebuilt.
+ * 
+ * Note that only the files themselves are reloaded, not any modules that they require. ES modules are imported 
+ * afresh, but the versions which were replaced remain in memory.
+ * 
+ * @param paths       The (absolute) paths of the files
+ * @param callback    The (optional) callback for non-Promise based invocation.
+ * @returns {Promise} that resolves to the names which were rebuilt (if not using Node-style callbacks)
+ */
+Context.prototype.reload = function(paths, callback) {
+  var self = this
+  var fromPaths = (fac) => !!fac.source && R.contains(fac.source.path, paths)
+  var previous = R.uniq(R.concat(R.filter(fromPaths, R.values(self.factories)), R.filter(fromPaths, self.contributions)))
+  R.forEach((path) => {
+    delete require.cache[path]
+    self.versions[path] = (self.versions[path] || 0) + 1
+  }, paths)
+  var scanning = Promise.all(R.map((path) => fs.existsSync(path) ? scanFile(self, {}, path) : Promise.resolve(), paths))
+  return scanning.then((scans) => {
+    var reloaded = R.reject((pair) => !pair[1], R.zip(paths, scans))
+    var promises = R.chain((pair) => R.map(readFunctionAtPath(self, pair[0]), pair[1].providers), reloaded)
+    return Promise.all(promises).then((registrations) => {
+      var changedNames = R.uniq(R.concat(R.pluck('name', previous), R.pluck('name', R.reject(R.isNil, registrations))))
+      var affected = dependentsOf(self, changedNames)
+      var built = R.filter((name) => self.instances[name] !== undefined, affected)
+      return Promise.resolve(subgraph(buildEdges(allFactories(self)), affected))
+        .then(R.map(R.reverse))
+        .then(traverseDag(self, 1, destroyInstance(self)))
+        .then(() => {
+          R.forEach((fac) => {
+            if (self.factories[fac.name] === fac) delete self.factories[fac.name]
+          }, previous)
+          self.contributions = R.reject(fromPaths, self.contributions)
+          R.forEach((path) => delete self.scans[path], paths)
+          R.forEach((pair) => self.scans[pair[0]] = pair[1], reloaded)
+          R.forEach(registerScanned(self), R.reject(R.isNil, registrations))
+          var rebuilt = R.filter((name) => !!allFactories(self)[name], built)
+          return traverseDag(self, 1, (name) => R.contains(name, rebuilt) ? self.getInstance(name) : Promise.resolve(), 
+            subgraph(buildEdges(allFactories(self)), rebuilt)).then(() => {
+              self.diagnostics.emit('reload', {paths: paths, names: rebuilt})
+              return rebuilt
+            })
+        })
+    })
+  }).nodeify(callback)
+}
+
+/**
+ * Watch the rootpaths and reload any file which changes (see reload()), once no more changes have been seen 
+ * for a short delay. Failures to reload are emitted as 'reload:error' events. Where Node cannot watch a 
+ * directory recursively (e.g. on Linux before Node 19.1), each directory that is scanned is watched instead, 
+ * so directories which are created later are not watched.
+ * 
+ * @param delay       [Optional, default = 100] The number of milliseconds to wait for further changes
+ * @returns           A watcher, whose close() method stops watching
+ */
+Context.prototype.watch = function(delay) {
+  var self = this
+  var changed = []
+  var timer = undefined
+  var reloading = Promise.resolve()
+  var reloadChanged = () => {
+    var paths = changed
+    changed = []
+    reloading = reloading.then(() => self.reload(paths)).then(null, (err) => {
+      self.diagnostics.emit('reload:error', {paths: paths, error: err})
+    })
+  }
+  var watchers = R.chain((rootpath) => watchDirectories(rootpath, self.filter, (path) => {
+    if (!self.filter.accepts(path.substring(rootpath.length)) || R.contains(path, changed)) return
+    changed.push(path)
+    clearTimeout(timer)
+    timer = setTimeout(reloadChanged, delay === undefined ? 100 : delay)
+  }), self.rootpaths)
+  return {
+    close: () => {
+      clearTimeout(timer)
+      R.forEach((watcher) => watcher.close(), watchers)
+    }
+  }
+}
+
+/**
+ * Report how long the factory method of each provider took to produce its (latest) instance, slowest first. 
+ * This excludes the time spent building its dependencies, so shows which providers slowed the bootstrap.
+ * 
+ * @returns   An array of objects of the form {name, duration} where the duration is in milliseconds
+ */
+Context.prototype.report = function() {
+  var timings = this.diagnostics.timings
+  return R.sortBy((timing) => -timing.duration, R.map((name) => {
+    return {name: name, duration: timings[name]}
+  }, R.keys(timings)))
+}
+
+/**
+ * Get a manifest of the annotated functions which were found by bootstrapping this Context, which another 
+ * Context (with the same rootpaths, or the same files in other places) can load instead of scanning them.
+ * 
+ * @returns   The manifest (see lib/manifest), ready to serialize as JSON
+ */
+Context.prototype.manifest = function() {
+  return manifests.create(this.scans, this.rootpaths)
+}
+
+/**
+ * Get the edges of the graph of dependencies between the providers registered with this Context (including 
+ * those inherited from any parent), without instantiating anything.
+ * 
+ * @returns   An array of edges, each a pair of logical names [providerName, requirerName]
+ */
+Context.prototype.graph = function() {
+  return R.reject(R.contains(DUMMY_DEPENDENT), buildEdges(allFactories(this)))
+}
+
+/**
+ * Get the state of this Context, e.g. for a readiness probe: whether bootstrap() has completed (for this Context or,
+ * for a child, its parent), and the state of each provider registered with this Context (or inherited from its 
+ * parent): 'registered' (nothing has been built yet), 'building', 'ready' (an instance has been built and cached) or 
+ * 'failed' (the latest attempt to build an instance failed, with the error). Singletons (and pools) are reported as 
+ * they are in the Context that registered them. Instances of scope='prototype' are not cached, so are never 'ready'. 
+ * The Context is ready once it has been bootstrapped, if no provider is building or has failed.
+ * 
+ * @returns   An object of the form {ready, bootstrapped, providers}, each provider of the form 
+ *            {name, scope, state, error}
+ */
+Context.prototype.status = function() {
+  var self = this
+  var factories = allFactories(self)
+  var providers = R.map((name) => stateOf(self, factories[name]), R.keys(factories))
+  var bootstrapped = isBootstrapped(self)
+  var settled = R.all((provider) => provider.state !== 'building' && provider.state !== 'failed', providers)
+  return {ready: bootstrapped && settled, bootstrapped: bootstrapped, providers: providers}
+}
+
+/**
+ * Check the health of the instances which this Context has built whose providers declare a @HealthCheck method, 
+ * by invoking those methods concurrently. An instance is unhealthy if its method returns (or resolves to) false, 
+ * throws (or rejects) or does not settle within the timeout, and a provider which failed to build is unhealthy 
+ * too. For scope='pool', the method is invoked on an instance borrowed from the pool. Providers whose instances 
+ * have not been built are not checked.
+ * 
+ * @param options     An (optional) object of the form {timeout}, the number of milliseconds to wait for each 
+ *                    check (default 5000)
+ * @param callback    The (optional) callback for non-Promise based invocation. 
+ * @returns {Promise} that resolves to an object of the form {healthy, checks} where 'healthy' is whether every 
+ *                    check passed and each check is of the form {name, healthy, duration, result, error}
+ */
+Context.prototype.checkHealth = function(options, callback) {
+  var self = this
+  var timeout = R.merge({timeout: 5000}, options || {}).timeout
+  var checked = R.filter((fac) => fac.healthCheck && R.contains(stateOf(self, fac).state, ['ready', 'failed']), R.values(self.factories))
+  return Promise.all(R.map((fac) => runHealthCheck(self, fac, timeout), checked)).then((checks) => {
+    return {healthy: R.all(R.prop('healthy'), checks), checks: checks}
+  }).nodeify(callback)
+}
+
+/**
+ * Get the statistics of the pools (of providers of scope='pool') which this Context has built, e.g. to 
+ * monitor how many instances are borrowed and how many borrowers are waiting.
+ * 
+ * @returns   An array of objects of the form {name, size, idle, borrowed, waiting, min, max, created, destroyed}
+ */
+Context.prototype.pools = function() {
+  var self = this
+  var pooled = R.filter((name) => self.factories[name].scope === 'pool' && self.factories[name].instance, R.keys(self.factories))
+  return R.map((name) => self.factories[name].instance.stats(), pooled)
+}
+
 module.exports = Context
 
 /* == Private functions == */
 
 var DUMMY_DEPENDENT = '__DUMMY_DEPENDENT__'
 
+/** Is an InstanceFactory's instance built once and shared by every Context, i.e. a singleton (or a pool of them)? */
+var isShared = function(instanceFactory) {
+  return instanceFactory.scope === 'singleton' || instanceFactory.scope === 'pool'
+}
+
+/** Has bootstrap() completed for a Context or (for a child) for its parent? */
+var isBootstrapped = function(context) {
+  return context.bootstrapped || (!!context.parent && isBootstrapped(context.parent))
+}
+
+/** Get the state of a provider in a Context (or rather, in the Context that caches its instances), i.e. {name, scope, state, error} */
+var stateOf = function(context, instanceFactory) {
+  var name = instanceFactory.name
+  var owner = isShared(instanceFactory) ? ownerOf(context, name) : context
+  var status = {name: name, scope: instanceFactory.scope}
+  if (owner.pending[name]) return R.merge(status, {state: 'building'})
+  else if (owner.failures[name]) return R.merge(status, {state: 'failed', error: owner.failures[name]})
+  else if (instanceFactory.scope !== 'prototype' && (owner.instances[name] !== undefined || instanceFactory.instance !== undefined)) {
+    return R.merge(status, {state: 'ready'})
+  } else return R.merge(status, {state: 'registered'})
+}
+
+/** 
+ * Invoke the @HealthCheck method of the instance of a provider within a timeout, giving a Promise for the outcome 
+ * of the form {name, healthy, duration, result, error} (which never rejects)
+ */
+var runHealthCheck = function(context, instanceFactory, timeout) {
+  var name = instanceFactory.name
+  var started = Date.now()
+  var outcome = (healthy, extra) => R.merge({name: name, healthy: healthy, duration: Date.now() - started}, extra)
+  var unhealthy = (err) => {
+    context.diagnostics.emit('health:fail', {name: name, error: err})
+    return outcome(false, {error: err})
+  }
+  if (context.failures[name]) return Promise.resolve(unhealthy(context.failures[name]))
+  var instance = context.instances[name] !== undefined ? context.instances[name] : instanceFactory.instance
+  var check = instance instanceof Pool ? 
+    instance.use((pooled) => invokeHealthCheck(name, instanceFactory.healthCheck, pooled)) : 
+    invokeHealthCheck(name, instanceFactory.healthCheck, instance)
+  return InstanceFactory.withTimeout(timeout, name, [], check).then((result) => {
+    if (result === false) return unhealthy(new Error('The health check of ' + name + ' failed'))
+    else return outcome(true, result === undefined || result === true ? {} : {result: result})
+  }, unhealthy)
+}
+
+/** Invoke the named @HealthCheck method of an instance, giving a Promise for its result */
+var invokeHealthCheck = function(name, methodName, instance) {
+  return Promise.resolve().then(() => {
+    if (!instance || !(instance[methodName] instanceof Function)) {
+      throw new Error('No healthCheck method \'' + methodName + '\' on the instance of ' + name)
+    }
+    return instance[methodName]()
+  })
+}
+
+/** Interpret the options to bootstrap(), which may simply be the boolean 'eager' */
+var toBootstrapSettings = function(options) {
+  var defaults = {eager: false, strict: false, concurrency: 1}
+  if (options instanceof Object) return R.merge(defaults, options)
+  else return R.merge(defaults, {eager: !!options})
+}
+
 /** For an Array of directory-paths, make sure that the last character in each is a forward slash */
 var ensureTrailingSlash = function(dirPaths) {
   return R.map((p) => {
@@ -125,43 +618,279 @@ var ensureTrailingSlash = function(dirPaths) {
   }, dirPaths)
 }
 
-/** Cache an instance against a name in a Context ('self') and return that instance (for function-chaining) */
+/** Find the Context which registered a provider for a name: the Context itself or else its nearest ancestor to do so */
+var ownerOf = function(context, name) {
+  if (context.factories[name]) return context
+  else if (context.parent) return ownerOf(context.parent, name)
+}
+
+/** 
+ * Say why a provider should not be registered with a Context, given its options, i.e. because none of its 
+ * profiles is active or its condition does not hold (or return undefined if it should be registered)
+ */
+var inactiveReason = function(context, options) {
+  var profiles = [].concat(options.profile || [])
+  var condition = options.conditionalOn
+  if (profiles.length > 0 && !R.any(isProfileActive(context), profiles)) {
+    return 'none of its profiles (' + profiles.join(', ') + ') is active'
+  } else if (condition && !conditionHolds(context, condition)) {
+    return 'its condition (' + R.map((key) => key + '=' + JSON.stringify(condition[key]), R.keys(condition)).join(' ') + ') does not hold'
+  }
+}
+
+/** Is a profile active in a Context (or, for a profile such as '!prod', inactive)? */
+var isProfileActive = R.curry(function(context, profile) {
+  if (profile.charAt(0) === '!') return !R.contains(profile.substring(1), context.profiles)
+  else return R.contains(profile, context.profiles)
+})
+
+/** 
+ * Does a condition upon a property, an environment variable or a name hold in a Context? See @ConditionalOn.
+ * 
+ * @param condition   An object of the form {property, env, name, value, missing}, of which exactly one of 
+ *                    property, env and name is declared
+ */
+var conditionHolds = function(context, condition) {
+  var present = undefined
+  if (condition.name !== undefined) {
+    present = !!ownerOf(context, condition.name)
+  } else {
+    var value = condition.property !== undefined ? context.properties.get(condition.property) : process.env[condition.env]
+    present = value !== undefined && (condition.value === undefined || String(value) === String(condition.value))
+  }
+  return condition.missing ? !present : present
+}
+
+/** Get the map of names->InstanceFactories available to a Context, including those inherited from its ancestors */
+var allFactories = function(context) {
+  if (context.parent) return R.merge(allFactories(context.parent), context.factories)
+  else return context.factories
+}
+
+/** Get the interceptors added to a Context and its ancestors, i.e. objects of the form {matches, interceptor, order} */
+var allInterceptors = function(context) {
+  return R.concat(context.parent ? allInterceptors(context.parent) : [], context.interceptors)
+}
+
+/** Get the post-processors added to a Context and its ancestors, in the order in which they were added */
+var allPostProcessors = function(context) {
+  return R.concat(context.parent ? allPostProcessors(context.parent) : [], context.postProcessors)
+}
+
+/** Get the InstanceFactories which contribute to collections with some tag, including those of ancestors, in order */
+var contributionsTo = function(context, tag) {
+  var contributions = context.parent ? contributionsTo(context.parent, tag) : []
+  return R.sortBy(R.prop('order'), R.concat(contributions, R.filter(dependencies.hasTag(tag), context.contributions)))
+}
+
+/** Resolve one of the special forms of dependency */
+var resolveDependency = function(context, dependency, chain) {
+  if (dependency.kind === 'all') return resolveCollection(context, dependency, chain)
+  else if (dependency.kind === 'property') return resolveProperty(context, dependency, chain)
+  else if (dependency.kind === 'optional') return resolveOptional(context, dependency, chain)
+  else if (dependency.kind === 'lazy') return Promise.resolve(lazily(context, dependency.name))
+  else if (dependency.kind === 'provider') return Promise.resolve((callback) => context.getInstance(dependency.name, callback))
+  else return Promise.reject(new Error('Unknown dependency ' + JSON.stringify(dependency)))
+}
+
+/** 
+ * Resolve a dependency upon all contributions to a collection. Contributions which are the provider 
+ * registered for their name are resolved by name, as usual, while any that share their name with 
+ * another provider are built (and, if singletons, cached) by their InstanceFactory alone.
+ */
+var resolveCollection = function(context, dependency, chain) {
+  var contributions = contributionsTo(context, dependency.tag)
+  return Promise.all(R.map((fac) => {
+    var owner = ownerOf(context, fac.name)
+    if (owner && owner.factories[fac.name] === fac) return context.resolve(fac.name, chain)
+    else return fac.build(context, R.append(fac.name, chain))
+  }, contributions)).then((instances) => {
+    if (dependency.form === 'map') return R.fromPairs(R.zip(R.pluck('name', contributions), instances))
+    else return instances
+  })
+}
+
+/** Resolve a dependency upon a provider which need not be registered, injecting its default value if it is not */
+var resolveOptional = function(context, dependency, chain) {
+  if (ownerOf(context, dependency.name)) return context.resolve(dependency.name, chain)
+  else return Promise.resolve(dependency.defaultValue)
+}
+
+/** 
+ * Create a function which gets an instance from a Context when it is first called, and returns a Promise for that 
+ * same instance whenever it is called again (unless getting it failed, in which case it is got again)
+ */
+var lazily = function(context, name) {
+  var instance = undefined
+  return () => {
+    if (!instance) instance = context.getInstance(name).then(null, (err) => {
+      instance = undefined
+      throw err
+    })
+    return instance
+  }
+}
+
+/** Resolve a dependency upon a configuration property, or else its default value */
+var resolveProperty = function(context, dependency, chain) {
+  if (context.properties.has(dependency.key)) return Promise.resolve(context.properties.get(dependency.key))
+  else if (dependency.defaultValue !== undefined) return Promise.resolve(Properties.coerce(dependency.defaultValue))
+  else return Promise.reject(new errors.MissingPropertyError(dependency.key, chain))
+}
+
+/** Forget that an instance is being built for a name in a Context, once it has been built (or has failed) */
+var forget = R.curry(function(context, name, ignored) {
+  delete context.pending[name]
+})
+
+/** 
+ * Cache an instance against a name in a Context ('self'), forgetting any earlier failure to build it, and return 
+ * that instance (for function-chaining)
+ */
 var cache = R.curry(function(context, name, instance) {
   context.instances[name] = instance
+  delete context.failures[name]
   return instance
 })
 
 /**
- * Scan the rootpaths for annotated modules
+ * Find the annotated functions in the rootpaths of a Context: from its manifest (if any) or else by scanning,
+ * in which case only files that have changed since any manifest was created are read (and a manifest file is
+ * then brought up to date).
+ * 
+ * @returns {Promise} that resolves to a map of paths->scans (see lib/manifest)
+ */
+var scan = function(context) {
+  var options = context.options
+  return manifests.read(options.manifest, context.rootpaths, options.checkManifest).then((known) => {
+    if (known && !options.checkManifest) return known
+    return findFiles(context.rootpaths, context.filter).then((scripts) => {
+      return Promise.all(R.map(scanFile(context, known || {}), scripts)).then(R.zipObj(scripts))
+    }).then((scans) => {
+      if (typeof options.manifest !== 'string' || !hasChanged(known || {}, scans) || annotationProblems(scans).length > 0) {
+        return scans
+      }
+      return manifests.write(options.manifest, manifests.create(scans, context.rootpaths)).then(R.always(scans))
+    })
+  })
+}
+
+/**
+ * Scan the rootpaths for the files which the filter accepts, without reading any directory that it skips
  *  
  * @returns {Promise} that resolves to an array of filepaths
  */
-var findFiles = function(rootpaths) {
-  return Promise.all(R.map(recursiveRead, rootpaths)).then(R.flatten)
+var findFiles = function(rootpaths, filter) {
+  return Promise.all(R.map((rootpath) => {
+    var skipped = (path, stats) => stats.isDirectory() && filter.skips(path.substring(rootpath.length))
+    return recursiveRead(rootpath, [skipped]).then(R.filter((path) => filter.accepts(path.substring(rootpath.length))))
+  }, rootpaths)).then(R.flatten)
+}
+
+/** 
+ * Watch a rootpath for changes to files, recursively if Node can, or else by watching each directory which the 
+ * filter does not skip. The listener is passed the path of each file which changes.
+ * 
+ * @returns   An array of the watchers (see fs.watch)
+ */
+var watchDirectories = function(rootpath, filter, listener) {
+  try {
+    return [fs.watch(rootpath, {recursive: true}, (event, filename) => filename && listener(rootpath + filename))]
+  } catch (err) {
+    if (err.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') throw err
+    return R.map((dirpath) => {
+      return fs.watch(dirpath, (event, filename) => filename && listener(dirpath + filename))
+    }, directoriesOf(rootpath, rootpath, filter))
+  }
+}
+
+/** Find a directory and those beneath it (each with a trailing slash) which the filter does not skip */
+var directoriesOf = function(dirpath, rootpath, filter) {
+  var subdirectories = R.filter((entry) => {
+    return entry.isDirectory() && !filter.skips(dirpath.substring(rootpath.length) + entry.name)
+  }, fs.readdirSync(dirpath, {withFileTypes: true}))
+  return R.prepend(dirpath, R.chain((entry) => directoriesOf(dirpath + entry.name + '/', rootpath, filter), subdirectories))
 }
 
+/** 
+ * Return a Promise for the scan of a file, i.e. {mtime, providers, problems}, reading its annotations unless it is 
+ * already known. Functions annotated with @Ignore are left out, as is every function in a file that starts with 
+ * such a comment.
+ */
+var scanFile = R.curry(function(context, known, path) {
+  return stat(path).then((stats) => {
+    var mtime = stats.mtime.getTime()
+    if (known[path] && known[path].mtime === mtime) return known[path]
+    context.diagnostics.emit('scan:file', {path: path})
+    return readFile(path, 'utf8').then((source) => {
+      if (isIgnored(source)) return {mtime: mtime, providers: []}
+      var functionAnnotations = cleanEmptyProps(annotations.read(source))
+      var read = R.values(R.mapObjIndexed(readProvider(context, path), R.pickBy((declared) => !declared.Ignore, functionAnnotations)))
+      var annotated = R.reject(R.isNil, R.pluck('provider', read))
+      return readDecorated(context, path, source, R.keys(functionAnnotations)).then((decorated) => {
+        return {mtime: mtime, providers: R.concat(annotated, decorated), problems: R.chain(R.prop('problems'), read)}
+      })
+    })
+  })
+})
+
 /**
- * Read the annotations in the filepaths and register appropriate InstanceFactories with the Context.
+ * Return a Promise for the providers declared by decorators (see lib/decorators) in a file which imports them, 
+ * other than any function which is also annotated (in which case its annotations apply instead)
+ */
+var readDecorated = function(context, path, source, annotatedNames) {
+  if (!usesDecorators(source)) return Promise.resolve([])
+  return loadModule(path, context.versions[path]).then((module) => {
+    var decorated = R.reject((found) => R.contains(found.functionName, annotatedNames), decorators.decoratedExports(module))
+    return R.map((found) => toProvider(context, path, found.functionName, found.settings), decorated)
+  })
+}
+
+/** Does the source of a file require (or import) the decorators? */
+var usesDecorators = function(source) {
+  return /['"][^'"\n]*\bdecorators(\.js)?['"]/.test(source)
+}
+
+/** 
+ * Does the source of a file start with a comment which contains @Ignore (and which, being followed by a 
+ * blank line, is not the comment of the first function)? 
+ */
+var isIgnored = function(source) {
+  return /^\s*(['"]use strict['"];?\s*)?\/\*\*((?!\*\/)[\s\S])*@Ignore\b((?!\*\/)[\s\S])*\*\/[ \t]*\r?\n[ \t]*\r?\n/.test(source)
+}
+
+/** 
+ * The problems with the annotations of the scanned files (see readProvider), in the order of their paths. A scan 
+ * which was read from a manifest has none, since no manifest is written while there are any.
+ */
+var annotationProblems = function(scans) {
+  return R.chain((path) => scans[path].problems || [], R.keys(scans).sort())
+}
+
+/** Have any files been added, removed or rescanned since the known scans? */
+var hasChanged = function(known, scans) {
+  return !R.equals(R.keys(known).sort(), R.keys(scans).sort()) || R.any((path) => scans[path] !== known[path], R.keys(scans))
+}
+
+/**
+ * Read the annotations in the scanned files and register appropriate InstanceFactories with the Context. The 
+ * functions are found in parallel but registered in order of their paths (and, within each file, in the order of 
+ * their functions) so that the outcome does not depend upon the order of the file-system.
  *  
  * @returns {Promise} that resolves to nothing.
  */
-var applyAnnotations = R.curry(function(context, filepaths) {
-  var promises = R.compose(R.map(applyAnnotationsAtPath(context)), R.filter(isJavascript))(filepaths)
-  return Promise.all(promises)
+var applyAnnotations = R.curry(function(context, scans) {
+  context.scans = scans
+  var promises = R.chain((path) => R.map(readFunctionAtPath(context, path), scans[path].providers), R.keys(scans).sort())
+  return Promise.all(promises).then(R.compose(R.forEach(registerScanned(context)), conditionsOnNamesLast, R.reject(R.isNil)))
 })
 
-/** Is the path a Javascript file? */
-var isJavascript = function(path) {
-  return path.indexOf('.js', path.length - '.js'.length) !== -1;
+/** Order registrations so that those with a condition upon a name are registered after every other */
+var conditionsOnNamesLast = function(registrations) {
+  var onName = (registration) => !!registration.options.conditionalOn && registration.options.conditionalOn.name !== undefined
+  return R.concat(R.reject(onName, registrations), R.filter(onName, registrations))
 }
 
-/** Return a Promise to register with the Context all annotated functions which are found in a file */
-var applyAnnotationsAtPath = R.curry(function(context, path) {
-  return readAnnotationsFor(path).then(
-    R.compose(Promise.all, R.values, R.mapObjIndexed(registerFunctionAtPath(context, path)), cleanEmptyProps)
-  )
-})
-
 /** Clean any properties from an Object where the value is empty */
 var cleanEmptyProps = function(obj) {
   for (var propName in obj) { 
@@ -177,24 +906,118 @@ var isEmptyObject = function(obj) {
   return Object.keys(obj).length === 0 && obj.constructor === Object
 }
 
-/** Return a Promise to register  with the Context a single annotated function which is found in the file */
-var registerFunctionAtPath = R.curry(function(context, path, functionAnnotations, functionName) {
-  return toFactoryFunction(path, functionName).then((func) => {
+/** 
+ * Read what is declared by the annotations of a single function, i.e. an object of the form {provider, problems}. 
+ * The provider is of the form {functionName, name, scope, async, dependencies, options}, or is undefined if any 
+ * annotation is malformed. The problems (see Context#validate) are one for each malformed annotation and each 
+ * unknown @Provides attribute, which is otherwise left out.
+ */
+var readProvider = R.curry(function(context, path, functionAnnotations, functionName) {
+  var malformed = []
+  var parsed = R.mapObjIndexed((annotation, annotationName) => {
+    try {
+      return parseAnnotation(path, annotation, annotationName)
+    } catch (err) {
+      if (!(err instanceof errors.AnnotationSyntaxError)) throw err
+      malformed.push(err)
+    }
+  }, functionAnnotations)
+  var declared = R.mergeAll(R.values(parsed))
+  var provider = toProvider(context, path, functionName, declared)
+  var problems = R.concat(
+    R.map(annotationProblem(provider.name, 'syntax'), malformed), 
+    R.map(annotationProblem(provider.name, 'attribute'), declared.unknownAttributes || []))
+  return {provider: malformed.length > 0 ? undefined : provider, problems: problems}
+})
+
+/** A problem (see Context#validate) with the annotations of a provider, which keeps the AnnotationSyntaxError */
+var annotationProblem = R.curry(function(name, type, err) {
+  var description = type === 'attribute' ? ' declares an unknown @Provides attribute at ' : ' has a malformed annotation at '
+  return {name: name, type: type, message: name + description + err.message, error: err}
+})
+
+/** 
+ * Complete what is declared (by annotations or decorators) for a single function with the defaults, giving an 
+ * object of the form {functionName, name, scope, async, dependencies, options}
+ */
+var toProvider = function(context, path, functionName, declared) {
+  var defaults = {name: defaultName(functionName, path, context.rootpaths), scope: 'singleton', async: false, dependencies: []}
+  var settings = R.merge(defaults, R.pickBy((value) => value !== undefined, declared))
+  var options = R.pickBy((value, key) => R.contains(key, OPTIONS), settings)
+  return {functionName: functionName, name: settings.name, scope: settings.scope, async: settings.async, dependencies: settings.dependencies, options: options}
+}
+
+/** The settings declared by annotations which are passed to an InstanceFactory as its options */
+var OPTIONS = [
+  'postConstruct', 'preDestroy', 'healthCheck', 'tag', 'order', 'primary', 'timeout', 'retries', 'backoff', 
+  'profile', 'conditionalOn', 'intercept', 'decorates', 'min', 'max', 'idleTimeout'
+]
+
+/** 
+ * Return a Promise for the registration of a single annotated function which is found in the file, i.e. for 
+ * an object of the form {name, factoryMethod, scope, async, dependencies, options} (or undefined if the 
+ * function cannot be found)
+ */
+var readFunctionAtPath = R.curry(function(context, path, provider) {
+  return toFactoryFunction(path, provider.functionName, context.versions[path]).then((func) => {
+    if (!func) context.diagnostics.emit('scan:unresolved', {path: path, functionName: provider.functionName})
     if (func) {
-      var defaults = {name: defaultName(functionName, path, context.rootpaths), scope: 'singleton', async: false, dependencies: []}
-      var settings = R.compose(R.merge(defaults), R.mergeAll, R.values, R.mapObjIndexed(parseAnnotation))(functionAnnotations)
-      context.register(settings.name, func, false, settings.scope, settings.async, settings.dependencies)
+      var options = R.merge(provider.options, {source: {path: path, functionName: provider.functionName}})
+      return R.merge(R.omit(['functionName'], provider), {factoryMethod: func, options: options})
     }
   })
 })
 
-/** Parse an annotation and return an object indicating what is declared there */
-var parseAnnotation = function(annotationContent, annotationName) {
-  if (annotationName == 'Requires') {
-    return new Requires(annotationContent)
-  } else if (annotationName == 'Provides') {
-    return new Provides(annotationContent)
+/** Register with the Context a function which was found by scanning */
+var registerScanned = R.curry(function(context, registration) {
+  context.register(registration.name, registration.factoryMethod, false, registration.scope, registration.async, 
+    registration.dependencies, registration.options)
+})
+
+/**
+ * Decide which of two InstanceFactories of the same name should be registered. Explicit registrations simply 
+ * replace one another and, if the Context's policy for conflicts is 'override', they take precedence over scanned 
+ * ones. Otherwise a 'primary' provider takes precedence over any other, and contributions to collections leave 
+ * the name with the first of them. Anything else is an error.
+ * 
+ * @returns   The InstanceFactory to register
+ * @throws    DuplicateProviderError if neither should be registered in preference to the other
+ */
+var resolveConflict = function(context, existing, candidate) {
+  var explicit = (fac) => !fac.source
+  var conflict = () => new errors.DuplicateProviderError(candidate.name, R.map(describeDeclaration, [existing, candidate]))
+  if (explicit(existing) && explicit(candidate)) return candidate
+  if (context.options.conflicts === 'override' && explicit(existing) !== explicit(candidate)) {
+    return explicit(existing) ? existing : candidate
   }
+  if (existing.primary && candidate.primary) throw conflict()
+  if (existing.primary || candidate.primary) return existing.primary ? existing : candidate
+  if (existing.tags.length > 0 && candidate.tags.length > 0) return existing
+  throw conflict()
+}
+
+/** 
+ * Parse an annotation (i.e. {value, line, column}) of a file and return an object indicating what is declared 
+ * there, or undefined if it is not one of the annotations that declare a provider
+ * 
+ * @throws AnnotationSyntaxError if the annotation is malformed or is repeated
+ */
+var parseAnnotation = R.curry(function(path, annotation, annotationName) {
+  var Annotation = ANNOTATIONS[annotationName]
+  if (!Annotation) return undefined
+  if (Array.isArray(annotation)) {
+    var repeated = annotation[1]
+    throw new errors.AnnotationSyntaxError('@' + annotationName + ' is declared more than once', 
+      {path: path, line: repeated.line, column: repeated.column})
+  }
+  var text = annotation.value === true ? '' : annotation.value
+  return new Annotation(text, {path: path, line: annotation.line, column: annotation.column})
+})
+
+/** The annotations which declare providers */
+var ANNOTATIONS = {
+  Requires: Requires, Provides: Provides, PostConstruct: PostConstruct, PreDestroy: PreDestroy, HealthCheck: HealthCheck, 
+  Profile: Profile, ConditionalOn: ConditionalOn, Intercept: Intercept, Decorates: Decorates
 }
 
 /** Fallback when no @Provides annotation is available to specify the logical name */
@@ -206,7 +1029,8 @@ function defaultName(functionName, path, rootpaths) {
 
 /** Get the name for a function at path within rootpath */
 var toName = R.curry(function(functionName, path, rootpath) {
-  return path.substring(rootpath.length).replace(/\//g, '.').replace('.js', '.') + functionName
+  var relativePath = path.substring(rootpath.length)
+  return relativePath.substring(0, relativePath.length - extname(relativePath).length).replace(/\//g, '.') + '.' + functionName
 })
 
 /** Does the path start with the root path? */
@@ -215,41 +1039,164 @@ var pathMatchesRoot = R.curry(function(path, rootPath) {
 })
 
 /**
- * Return a Promise to find the actual function implied by a functionName in a file. 
+ * Return a Promise to find the actual function (or class) implied by a functionName in a file. ES modules 
+ * are imported (afresh for each version of the file), while anything else is required as a CommonJS module, 
+ * or else (failing that) evaluated. 
  */
-var toFactoryFunction = function(path, functionName) {
-  return new Promise((resolve, reject) => {
-    var module = require(path)
-    var modFunction = module[functionName]
-    if (modFunction) {
-      resolve(modFunction)
-    } else if (module instanceof Function) {
-      resolve(module) // assumption is that the exported function IS the target
-    } else { // not a CommonJS module, or a module that does not export the target
-      var fs = require('fs')
-      fs.readFile(path, (err, buf) => {
-        if (err) {
-          reject(err)
-        } else {
-          eval(buf.toString()) // evaluate the JS to declare any functions in local (this function) scope
-          var result = eval(functionName) // evaluate the target-name to access the newly-declared function
-          if (!result) console.log("Could not resolve the target " + functionName + " for " + path)
-          resolve(result) 
-        }
-      })
-    }
+var toFactoryFunction = function(path, functionName, version) {
+  return loadModule(path, version).then((module) => {
+    var exported = findExport(module, functionName)
+    if (exported || module[Symbol.toStringTag] === 'Module') return exported
+    // not a CommonJS module, or a module that does not export the target
+    return readFile(path).then((buf) => evaluateDeclaration(buf.toString(), functionName))
+  })
+}
+
+/** 
+ * Evaluate the source of a script which is not a module to find a function that it declares (with 'function' 
+ * or 'var'). Classes (and so their static methods) are not visible outside of the evaluated source, so are not 
+ * found: they must be exported.
+ */
+var evaluateDeclaration = function(source, functionName) {
+  if (!/^[A-Za-z_$][\w$]*$/.test(functionName)) return undefined
+  eval(source) // evaluate the JS to declare any functions in local (this function) scope
+  return eval('typeof ' + functionName + ' === \'function\' ? ' + functionName + ' : undefined')
+}
+
+/** Return a Promise for a module, which is required unless it is an ES module, in which case it is imported */
+var loadModule = function(path, version) {
+  return new Promise((resolve) => resolve(require(path))).then(null, (err) => {
+    if (err.code === 'ERR_REQUIRE_ESM') return import(pathToFileURL(path).href + (version ? '?version=' + version : ''))
+    else throw err
   })
 }
 
+/** 
+ * Find the function (or class) which a module exports under a name, which is 'default' for a default export 
+ * and 'Class.method' for a static method of a class (which is then bound to that class)
+ */
+var findExport = function(module, functionName) {
+  var names = functionName.split('.')
+  var exported = module[names[0]]
+  if (!exported && module instanceof Function) exported = module // assumption is that the exported function IS the target
+  if (names.length === 1 || !exported) return exported
+  var method = exported[names[1]]
+  return method instanceof Function ? method.bind(exported) : undefined
+}
+
 /**
  * Populate Context.instances for all functions registered with the Context.
- * Returns the updated Context either via the Callback (if provided) or else as a Promise.
+ * Returns the updated Context as a Promise.
  * 
- * @param callback    The (optional) callback for non-Promise based invocation. 
- * @returns {Promise} that resolves to the Context itself (if not using Node-style callbacks)
+ * @param context       The instance of DI context
+ * @param concurrency   The maximum number of instances to build at the same time (0 or Infinity for no limit)
+ * @returns {Promise} that resolves to the Context itself
+ */
+var populate = function(context, concurrency) {
+  var cycle = findCycle(allFactories(context))
+  if (cycle) return Promise.reject(circularDependency(context, cycle))
+  return Promise.resolve(buildEdges(allFactories(context)))
+    .then(traverseDag(context, concurrency || Infinity, (name) => {
+      // a name without a provider is left to whatever requires it, to fail with a MissingProviderError that says so,
+      // while a decorator is only ever applied to the instances of another provider
+      var fac = allFactories(context)[name]
+      return (fac && fac.decorates === undefined) || name === DUMMY_DEPENDENT ? context.getInstance(name) : Promise.resolve()
+    }))
+}
+
+/**
+ * Search the dependencies of the InstanceFactories for a cycle (visiting names in order, so that 
+ * the same cycle is always reported in the same way).
+ * 
+ * @param instanceFactories   The map of names->InstanceFactories to search
+ * @returns                   The logical names around the first cycle found (e.g. ['a', 'b', 'a']), or undefined
  */
-var populate = function(context) {
-  return Promise.resolve(buildEdges(context.factories)).then(traverseDag(context))
+var findCycle = function(instanceFactories) {
+  var visited = {}
+  var visit = function(name, chain) {
+    if (R.contains(name, chain)) return R.append(name, chain.slice(chain.indexOf(name)))
+    if (visited[name] || !instanceFactories[name]) return undefined
+    visited[name] = true
+    return R.reduce(
+      (cycle, dependency) => cycle || visit(dependency, R.append(name, chain)), 
+      undefined, 
+      requiredNames(instanceFactories, instanceFactories[name])
+    )
+  }
+  return R.reduce((cycle, name) => cycle || visit(name, []), undefined, R.keys(instanceFactories).sort())
+}
+
+/** Create a CircularDependencyError for the path around a cycle, describing where each provider was declared */
+var circularDependency = function(context, path) {
+  var factories = allFactories(context)
+  var declarations = R.fromPairs(R.map((name) => [name, describeDeclaration(factories[name])], path))
+  return new errors.CircularDependencyError(path, declarations)
+}
+
+/** 
+ * Find the problems with the wiring of a Context
+ * 
+ * @returns   An array of problems, each of the form {name, type, message}
+ */
+var findProblems = function(context) {
+  var factories = R.values(allFactories(context))
+  var cycle = findCycle(allFactories(context))
+  var cycleProblem = cycle ? [{name: cycle[0], type: 'cycle', message: circularDependency(context, cycle).message}] : []
+  return R.unnest([
+    R.chain(unresolvedProblems(context), factories),
+    R.chain(propertyProblems(context), factories),
+    R.chain(arityProblems, factories),
+    R.map(R.omit(['error']), annotationProblems(context.scans)),
+    cycleProblem
+  ])
+}
+
+/** Problems for each dependency of an InstanceFactory that has no provider */
+var unresolvedProblems = R.curry(function(context, instanceFactory) {
+  return R.map((name) => {
+    return {
+      name: instanceFactory.name, 
+      type: 'unresolved', 
+      message: instanceFactory.name + ' requires \'' + name + '\' which has no provider (' + 
+        describeDeclaration(instanceFactory) + ')'
+    }
+  }, R.filter((name) => name !== undefined && !ownerOf(context, name), R.map(dependencies.nameOf, instanceFactory.dependencies)))
+})
+
+/** Problems for each configuration property required by an InstanceFactory that is not defined (and has no default) */
+var propertyProblems = R.curry(function(context, instanceFactory) {
+  var missing = (dependency) => dependency.kind === 'property' && dependency.defaultValue === undefined && 
+    !context.properties.has(dependency.key)
+  return R.map((dependency) => {
+    return {
+      name: instanceFactory.name, 
+      type: 'property', 
+      message: instanceFactory.name + ' requires the property \'' + dependency.key + '\' which is not defined (' + 
+        describeDeclaration(instanceFactory) + ')'
+    }
+  }, R.filter(missing, instanceFactory.dependencies))
+})
+
+/** A problem if the factory method of an InstanceFactory does not accept the same number of parameters as it requires */
+var arityProblems = function(instanceFactory) {
+  if (instanceFactory.literal) return []
+  var expected = instanceFactory.dependencies.length + (instanceFactory.async == 'callback' ? 1 : 0) + 
+    (instanceFactory.decorates === undefined ? 0 : 1)
+  var actual = instanceFactory.factoryMethod.length
+  if (actual == expected) return []
+  return [{
+    name: instanceFactory.name, 
+    type: 'arity', 
+    message: instanceFactory.name + ' has a factory method with ' + actual + ' parameter(s) but requires ' + 
+      expected + ' argument(s) (' + describeDeclaration(instanceFactory) + ')'
+  }]
+}
+
+/** Describe where the provider of an InstanceFactory was declared */
+var describeDeclaration = function(instanceFactory) {
+  if (instanceFactory.source) {
+    return 'provided by ' + instanceFactory.source.functionName + ' in ' + instanceFactory.source.path
+  } else return 'registered via Context#register'
 }
 
 /**
@@ -259,40 +1206,68 @@ var populate = function(context) {
  * @returns     The DAG: nested arrays of [[providerName, requirerName]
  */
 var buildEdges = function(instanceFactories) {
-  return R.compose(R.unnest, R.values, R.mapObj(edgesForInstance))(instanceFactories)
+  return R.compose(R.unnest, R.values, R.mapObj(edgesForInstance(instanceFactories)))(instanceFactories)
 }
 
 /** 
  * Get the edges of the DAG implied by the dependencies of an InstanceFactory (if any) 
  * or else a single fallback edge 
  */
-var edgesForInstance = function(instanceFactory) {
-  if (instanceFactory.dependencies.length == 0) {
+var edgesForInstance = R.curry(function(instanceFactories, instanceFactory) {
+  var names = requiredNames(instanceFactories, instanceFactory)
+  if (names.length == 0) {
     return [[instanceFactory.name, DUMMY_DEPENDENT]]
   } else return R.map(
       (dependency) => {
         return [dependency, instanceFactory.name]
       }
-    ) (instanceFactory.dependencies)
+    ) (names)
+})
+
+/** Get the logical names of all the providers that an InstanceFactory requires (including via collections) */
+var requiredNames = function(instanceFactories, instanceFactory) {
+  return R.uniq(R.chain(dependencies.namesOf(instanceFactories), instanceFactory.dependencies))
+}
+
+/** 
+ * Get the names, of those given and of every provider registered with a Context (or its ancestors) which 
+ * depends upon them (transitively)
+ */
+var dependentsOf = function(context, names) {
+  var edges = buildEdges(allFactories(context))
+  var visit = (found, name) => {
+    if (R.contains(name, found)) return found
+    var requirers = R.map(R.last, R.filter((edge) => edge[0] === name && edge[1] !== DUMMY_DEPENDENT, edges))
+    return R.reduce(visit, R.append(name, found), requirers)
+  }
+  return R.reduce(visit, [], names)
+}
+
+/** Get the edges between some names of a DAG, plus a fallback edge for each of those names so that all are visited */
+var subgraph = function(edges, names) {
+  var within = R.filter((edge) => R.contains(edge[0], names) && R.contains(edge[1], names), edges)
+  return R.concat(within, R.map((name) => [name, DUMMY_DEPENDENT], names))
 }
 
 /**
- * Traverse the edges of the DAG, creating an instance of each Object and returning
- * the Context, now with Context.instances populated.
+ * Traverse the edges of the DAG, visiting each logical name in order (e.g. creating an instance of each 
+ * Object) and returning the Context.
  * 
  * @param context     The instance of DI context
- * @param edges       The edges of the DAG (pairs of logical names from provider to requirer)
+ * @param concurrency The maximum number of names to visit at the same time
+ * @param visit       The function to apply to each logical name, returning a Promise
+ * @param edges       The edges of the DAG (pairs of logical names, the first to be visited before the second)
  * @returns {Promise}
  */
-var traverseDag = R.curry(function(context, edges) {
+var traverseDag = R.curry(function(context, concurrency, visit, edges) {
   return new Promise((resolve, reject) => {
-    dag(edges, 1, 
+    dag(edges, concurrency, 
       (name, next) => {
-        context.getInstance(name).then(
+        visit(name).then(
           () => {
             next()
           }, 
-          next // i.e. next(err) - pass errors from getInstance() back to DAG 
+          next // i.e. next(err) - pass errors from visit() back to DAG 
         )
       }, 
       (err) => {
@@ -303,3 +1278,24 @@ var traverseDag = R.curry(function(context, edges) {
   })
 })
 
+/** 
+ * Dispose of the instance (if any) for a logical name, as visited during shutdown. Prototype-scoped 
+ * instances are not tracked by the Context so are left to whatever holds them, and singletons (and pools) 
+ * are left to the Context that registered them. The instance is forgotten even if disposing of it fails.
+ */
+var destroyInstance = R.curry(function(context, name) {
+  var owner = ownerOf(context, name)
+  var fac = owner && owner.factories[name]
+  var instance = context.instances[name]
+  var destroyed = Promise.resolve()
+  if (fac && fac.scope === 'request' && instance !== undefined) destroyed = fac.dispose(instance)
+  else if (fac && isShared(fac) && owner === context) destroyed = fac.destroy()
+  var forget = () => {
+    delete context.instances[name]
+    delete context.failures[name]
+  }
+  return destroyed.then(forget, (err) => {
+    forget()
+    throw err
+  })
+})
@@ -0,0 +1,20 @@
+var parser = require('./parser')
+
+/**
+ * Annotation wrapper to parse function annotations like:
+ * "@Decorates 'db.connection'"
+ * 
+ * Makes the function a decorator of the objects provided under another logical name: once each of them 
+ * is built, the function is invoked with it (followed by any dependencies declared by @Requires) and 
+ * what the function returns is provided in its place. The function provides nothing under its own name. 
+ * Several decorators of the same name are applied in the "order" declared by their @Provides annotations 
+ * (lowest, i.e. innermost, first).
+ * 
+ * @param annotation  The text of the annotation
+ * @param location    [Optional] Where the text starts, i.e. {path, line, column}, for reporting syntax errors
+ */
+module.exports = function(annotation, location) {
+
+  this.decorates = parser.value(annotation, location || {line: 1, column: 1})
+
+}
@@ -0,0 +1,129 @@
+var R = require('ramda')
+var Provides = require('./provides')
+
+/**
+ * Decorators which are the equivalents of the annotations, for code that is compiled with support for
+ * decorators (either standard decorators or TypeScript's 'experimentalDecorators'), available as
+ * require('abdicate/decorators'):
+ *
+ *   @Provides('db.connection', {async: 'promise'})
+ *   @Requires('db.config')
+ *   class Connection { ... }
+ *
+ * They may decorate classes and the static (e.g. factory) methods of classes. Exported classes (and their
+ * static methods) which are decorated are found by scanning (see Context#bootstrap) as well as by binding
+ * them (see Context#bind).
+ */
+
+/**
+ * The equivalent of @Provides, e.g. @Provides('db') or @Provides('db', {scope: 'prototype'}) or
+ * @Provides({name: 'db', scope: 'prototype'})
+ *
+ * @throws TypeError if an unknown attribute is declared
+ */
+var ProvidesDecorator = function(name, attributes) {
+  var declared = name instanceof Object ? name : R.merge(attributes || {}, name === undefined ? {} : {name: name})
+  var unknown = R.reject((attribute) => R.contains(attribute, Provides.attributes), R.keys(declared))
+  if (unknown.length > 0) {
+    throw new TypeError('Unknown attribute \'' + unknown[0] + '\' (expected one of ' + Provides.attributes.join(', ') + ')')
+  }
+  return decorator(declared)
+}
+
+/** The equivalent of @Requires, e.g. @Requires('db.config', all('routes')) or @Requires(['db.config']) */
+var RequiresDecorator = function() {
+  return decorator({dependencies: R.flatten(Array.prototype.slice.call(arguments))})
+}
+
+/** The equivalent of @PostConstruct, e.g. @PostConstruct('open') */
+var PostConstructDecorator = function(methodName) {
+  return decorator({postConstruct: methodName})
+}
+
+/** The equivalent of @PreDestroy, e.g. @PreDestroy('close') */
+var PreDestroyDecorator = function(methodName) {
+  return decorator({preDestroy: methodName})
+}
+
+/** The equivalent of @HealthCheck, e.g. @HealthCheck('ping') */
+var HealthCheckDecorator = function(methodName) {
+  return decorator({healthCheck: methodName})
+}
+
+/** The equivalent of @Profile, e.g. @Profile('prod') or @Profile('dev', 'test') */
+var ProfileDecorator = function() {
+  return decorator({profile: R.flatten(Array.prototype.slice.call(arguments))})
+}
+
+/** The equivalent of @ConditionalOn, e.g. @ConditionalOn({name: 'cache', missing: true}) */
+var ConditionalOnDecorator = function(condition) {
+  return decorator({conditionalOn: condition})
+}
+
+/** The equivalent of @Intercept, e.g. @Intercept('db.*') or @Intercept({tag: 'repositories', order: 1}) */
+var InterceptDecorator = function(matcher) {
+  return decorator({intercept: matcher})
+}
+
+/** The equivalent of @Decorates, e.g. @Decorates('db.connection') */
+var DecoratesDecorator = function(name) {
+  return decorator({decorates: name})
+}
+
+/**
+ * Get the settings declared by the decorators of a function or class (if any), i.e. an object of the form
+ * {name, scope, async, dependencies, postConstruct, preDestroy, tag, ...}
+ */
+var declared = function(target) {
+  return target instanceof Function && target.hasOwnProperty(METADATA) ? target[METADATA] : undefined
+}
+
+/**
+ * Find the functions and classes exported by a module, and the static methods of its exported classes, which
+ * are decorated. Each is named as it is by annotations (see lib/annotations), e.g. 'default' or 'Class.method'.
+ *
+ * @returns   An array of objects of the form {functionName, settings}
+ */
+var decoratedExports = function(module) {
+  var exported = module instanceof Function ? [['anonymous', module]] : R.toPairs(module)
+  return R.chain((pair) => {
+    var statics = pair[1] instanceof Function ? Object.getOwnPropertyNames(pair[1]) : []
+    var candidates = R.prepend(pair, R.map((property) => [pair[0] + '.' + property, staticMethod(pair[1], property)], statics))
+    return R.map((candidate) => {
+      return {functionName: candidate[0], settings: declared(candidate[1])}
+    }, R.filter((candidate) => !!declared(candidate[1]), candidates))
+  }, exported)
+}
+
+module.exports.Provides = ProvidesDecorator
+module.exports.Requires = RequiresDecorator
+module.exports.PostConstruct = PostConstructDecorator
+module.exports.PreDestroy = PreDestroyDecorator
+module.exports.HealthCheck = HealthCheckDecorator
+module.exports.Profile = ProfileDecorator
+module.exports.ConditionalOn = ConditionalOnDecorator
+module.exports.Intercept = InterceptDecorator
+module.exports.Decorates = DecoratesDecorator
+module.exports.declared = declared
+module.exports.decoratedExports = decoratedExports
+
+/* == Private functions == */
+
+var METADATA = Symbol.for('abdicate.decorators')
+
+/**
+ * Create a decorator which adds settings to those declared for its target. A standard decorator is passed
+ * (value, context) while TypeScript's are passed (class) or, for a static method, (class, key, descriptor).
+ */
+var decorator = function(settings) {
+  return function(target, context, descriptor) {
+    var decorated = descriptor ? descriptor.value : target
+    Object.defineProperty(decorated, METADATA, {value: R.merge(declared(decorated) || {}, settings), configurable: true})
+  }
+}
+
+/** Get a static method of a class, without invoking any getter */
+var staticMethod = function(Class, property) {
+  var descriptor = Object.getOwnPropertyDescriptor(Class, property)
+  return descriptor && descriptor.value
+}
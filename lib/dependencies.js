@@ -0,0 +1,131 @@
+var R = require('ramda')
+
+/**
+ * The special forms of dependency which may be declared (within @Requires annotations, or when registering 
+ * explicitly) alongside plain logical names. Each is a plain object whose 'kind' identifies the form.
+ */
+
+/**
+ * A dependency upon every provider that declares some tag, e.g. "@Requires all('routes')". The instances 
+ * are injected as an array, ordered by the 'order' of their providers, or else (if form = 'map') as a map 
+ * of logical names to instances.
+ * 
+ * @param tag     The tag declared by the providers
+ * @param form    [Optional, default = 'array'] Either 'array' or 'map'
+ */
+var all = function(tag, form) {
+  return {kind: 'all', tag: tag, form: form || 'array'}
+}
+
+/**
+ * A dependency upon a configuration property (see lib/properties), e.g. "@Requires '${db.uri}'" or, with a 
+ * default value for when the property is not defined, "@Requires '${port:8080}'".
+ * 
+ * @param key           The (dotted) key of the property
+ * @param defaultValue  [Optional] The text of the default value, which is converted like any other property text
+ */
+var property = function(key, defaultValue) {
+  return {kind: 'property', key: key, defaultValue: defaultValue}
+}
+
+/**
+ * A dependency upon a provider which is not built until it is first needed, e.g. "@Requires lazy('mailer')". 
+ * The injected function returns a Promise for the instance, which is got (just once) when the function is first 
+ * called. Since nothing is built in advance, the providers may (between them) even require one another.
+ * 
+ * @param name    The logical name of the provider
+ */
+var lazy = function(name) {
+  return {kind: 'lazy', name: name}
+}
+
+/**
+ * A dependency upon a provider which is invoked afresh whenever it is needed, e.g. "@Requires provider('request')".
+ * The injected function gets an instance each time that it is called (so a new one for scope='prototype'), 
+ * returning a Promise for it unless it is passed a callback.
+ * 
+ * @param name    The logical name of the provider
+ */
+var provider = function(name) {
+  return {kind: 'provider', name: name}
+}
+
+/**
+ * A dependency upon a provider which need not be registered, e.g. "@Requires optional('metrics', null)" or simply 
+ * "@Requires 'metrics?'". If there is no provider then the default value (if any) is injected instead.
+ * 
+ * @param name          The logical name of the provider
+ * @param defaultValue  [Optional, default = undefined] The value to inject when there is no provider
+ */
+var optional = function(name, defaultValue) {
+  return {kind: 'optional', name: name, defaultValue: defaultValue}
+}
+
+/** 
+ * Convert a dependency as declared into its normal form, i.e. turn any '${key}' or '${key:default}' into 
+ * a property dependency and any 'name?' into an optional one, and leave anything else as it is
+ */
+var normalise = function(dependency) {
+  var match = isName(dependency) && dependency.match(/^\$\{([^:}]+)(?::(.*))?\}$/)
+  if (match) return property(match[1].trim(), match[2])
+  else if (isName(dependency) && dependency.endsWith('?')) return optional(dependency.slice(0, -1))
+  else return dependency
+}
+
+/** Is the dependency simply a logical name? */
+var isName = function(dependency) {
+  return typeof dependency === 'string'
+}
+
+/** Get the logical name of the single provider that a dependency requires, if it requires one (even lazily) */
+var nameOf = function(dependency) {
+  if (isName(dependency)) return dependency
+  else if (dependency.kind === 'lazy' || dependency.kind === 'provider') return dependency.name
+}
+
+/** Does an InstanceFactory declare the tag? */
+var hasTag = R.curry(function(tag, instanceFactory) {
+  return R.contains(tag, instanceFactory.tags)
+})
+
+/** 
+ * Get the logical names of the providers that a dependency refers to, and which must therefore be built before 
+ * it can be resolved (which excludes any that are got lazily)
+ * 
+ * @param instanceFactories   The map of names->InstanceFactories in which to look up the providers
+ * @param dependency          The dependency
+ * @returns                   An array of logical names
+ */
+var namesOf = R.curry(function(instanceFactories, dependency) {
+  if (isName(dependency)) return [dependency]
+  else if (dependency.kind === 'all') return R.filter((name) => hasTag(dependency.tag, instanceFactories[name]), R.keys(instanceFactories))
+  else if (dependency.kind === 'optional') return instanceFactories[dependency.name] ? [dependency.name] : []
+  else return []
+})
+
+/** Describe a dependency as it would be declared in a @Requires annotation */
+var describe = function(dependency) {
+  if (isName(dependency)) return dependency
+  else if (dependency.kind === 'all') {
+    return 'all(\'' + dependency.tag + '\'' + (dependency.form === 'array' ? '' : ', \'' + dependency.form + '\'') + ')'
+  } else if (dependency.kind === 'property') {
+    return '${' + dependency.key + (dependency.defaultValue === undefined ? '' : ':' + dependency.defaultValue) + '}'
+  } else if (dependency.kind === 'optional') {
+    return dependency.defaultValue === undefined ? dependency.name + '?' : 
+      'optional(\'' + dependency.name + '\', ' + JSON.stringify(dependency.defaultValue) + ')'
+  } else if (dependency.kind === 'lazy' || dependency.kind === 'provider') {
+    return dependency.kind + '(\'' + dependency.name + '\')'
+  }
+}
+
+module.exports.all = all
+module.exports.property = property
+module.exports.lazy = lazy
+module.exports.provider = provider
+module.exports.optional = optional
+module.exports.normalise = normalise
+module.exports.isName = isName
+module.exports.nameOf = nameOf
+module.exports.hasTag = hasTag
+module.exports.namesOf = namesOf
+module.exports.describe = describe
@@ -0,0 +1,86 @@
+var R = require('ramda')
+
+/**
+ * The diagnostics of a Context: structured events which are emitted (to an EventEmitter, if given) and 
+ * logged (to a logger, if given). The events are:
+ * 
+ *   scan:file           {path}                          A file is about to be scanned for annotations
+ *   scan:unresolved     {path, functionName}            An annotated function could not be found
+ *   register            {name, scope, async, source}    A provider has been registered
+ *   skip                {name, reason, source}          A provider has not been registered, due to its profile or condition
+ *   build:start         {name, chain}                   A factory method is about to be invoked
+ *   build:end           {name, chain, duration}         A factory method has produced an instance (in duration ms)
+ *   build:error         {name, chain, error}            An instance could not be built
+ *   missing             {name, chain}                   No provider is registered for a name
+ *   reload              {paths, names}                  Files have been reloaded and the named instances rebuilt
+ *   reload:error        {paths, error}                  Files could not be reloaded (when watching)
+ *   health:fail         {name, error}                   The health check of an instance has failed
+ * 
+ * The logger is any object with the methods debug(), info(), warn() and error(), each of which is called 
+ * with a message and the event's data. By default, warnings and errors are written to the console (i.e. to 
+ * stderr, so that they are kept apart from any output). A logger of null (or false) logs nothing.
+ * 
+ * @param options   An object of the form {events, logger}
+ */
+var Diagnostics = function(options) {
+  this.events = options.events
+  this.logger = options.logger === undefined ? consoleLogger : options.logger
+  this.timings = {}
+}
+
+/**
+ * Emit an event and log it
+ * 
+ * @param event   The name of the event, e.g. 'build:end'
+ * @param data    The data of the event
+ */
+Diagnostics.prototype.emit = function(event, data) {
+  if (event === 'build:end') this.timings[data.name] = data.duration
+  if (this.events) this.events.emit(event, data)
+  if (this.logger) this.logger[LEVELS[event]](messages[event](data), data)
+}
+
+module.exports = Diagnostics
+
+/* == Private functions == */
+
+var noop = function() {}
+
+/** The default logger, which writes warnings and errors to the console's stderr */
+var consoleLogger = {
+  debug: noop, 
+  info: noop, 
+  warn: (message) => console.error(message), 
+  error: (message) => console.error(message)
+}
+
+/** The level at which each event is logged */
+var LEVELS = {
+  'scan:file': 'debug', 
+  'scan:unresolved': 'warn', 
+  'register': 'debug', 
+  'skip': 'debug', 
+  'build:start': 'debug', 
+  'build:end': 'info', 
+  'build:error': 'error', 
+  'missing': 'warn',
+  'reload': 'info',
+  'reload:error': 'error',
+  'health:fail': 'warn'
+}
+
+/** The message with which each event is logged */
+var messages = {
+  'scan:file': (data) => 'Scanning ' + data.path,
+  'scan:unresolved': (data) => 'Could not resolve the target ' + data.functionName + ' for ' + data.path,
+  'register': (data) => 'Registered ' + data.name + (data.source ? ' from ' + data.source.path : ''),
+  'skip': (data) => 'Skipped ' + data.name + (data.source ? ' from ' + data.source.path : '') + ' because ' + data.reason,
+  'build:start': (data) => 'Building ' + data.name,
+  'build:end': (data) => 'Built ' + data.name + ' in ' + data.duration + 'ms',
+  'build:error': (data) => 'Rejecting due to ' + data.error,
+  'missing': (data) => 'No InstanceFactory for ' + data.name + 
+    (data.chain.length > 0 ? ' (required by ' + R.last(data.chain) + ')' : ''),
+  'reload': (data) => 'Reloaded ' + data.paths.join(', ') + ' and rebuilt [' + data.names.join(', ') + ']',
+  'reload:error': (data) => 'Could not reload ' + data.paths.join(', ') + ' due to ' + data.error,
+  'health:fail': (data) => 'The health check of ' + data.name + ' failed due to ' + data.error
+}
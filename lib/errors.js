@@ -0,0 +1,160 @@
+var util = require('util')
+
+/**
+ * Errors raised by a Context. Each is an Error with a distinct 'name' (and constructor) so that 
+ * callers can tell them apart, plus properties describing the problem in a structured form.
+ */
+
+/**
+ * Raised when the dependencies of some providers form a cycle (e.g. A requires B requires C requires A).
+ * 
+ * @param path          The logical names around the cycle, starting and ending with the same name
+ * @param declarations  A map of each logical name in the cycle to where its provider was declared
+ */
+var CircularDependencyError = function(path, declarations) {
+  Error.call(this)
+  Error.captureStackTrace(this, CircularDependencyError)
+  this.name = 'CircularDependencyError'
+  this.path = path
+  this.declarations = declarations
+  this.message = 'Circular dependency: ' + path.join(' -> ') + 
+    path.slice(0, -1).map((name) => '\n  ' + name + ' is ' + declarations[name]).join('')
+}
+util.inherits(CircularDependencyError, Error)
+
+module.exports.CircularDependencyError = CircularDependencyError
+
+/**
+ * Raised when validating a Context finds problems with the way that its providers are wired together.
+ * 
+ * @param problems      An array of the problems found, each of the form {name, type, message} where 'type' is 
+ *                      one of 'unresolved', 'property', 'arity' or 'cycle'
+ */
+var ValidationError = function(problems) {
+  Error.call(this)
+  Error.captureStackTrace(this, ValidationError)
+  this.name = 'ValidationError'
+  this.problems = problems
+  this.message = problems.length + ' problem(s) found in the Context:' + 
+    problems.map((problem) => '\n  ' + problem.message).join('')
+}
+util.inherits(ValidationError, Error)
+
+module.exports.ValidationError = ValidationError
+
+/**
+ * Raised when shutting down a Context fails to dispose of some of its instances (every other instance having 
+ * been disposed of regardless).
+ * 
+ * @param failures      An array of the failures, each of the form {name, error}
+ */
+var ShutdownError = function(failures) {
+  Error.call(this)
+  Error.captureStackTrace(this, ShutdownError)
+  this.name = 'ShutdownError'
+  this.failures = failures
+  this.message = failures.length + ' instance(s) could not be disposed of:' + 
+    failures.map((failure) => '\n  ' + failure.name + ': ' + failure.error.message).join('')
+}
+util.inherits(ShutdownError, Error)
+
+module.exports.ShutdownError = ShutdownError
+
+/**
+ * Raised when more than one provider of the same logical name is registered and the Context cannot 
+ * choose between them.
+ * 
+ * @param name          The logical name
+ * @param declarations  Where each of the providers was declared
+ */
+var DuplicateProviderError = function(name, declarations) {
+  Error.call(this)
+  Error.captureStackTrace(this, DuplicateProviderError)
+  this.name = 'DuplicateProviderError'
+  this.providerName = name
+  this.declarations = declarations
+  this.message = 'Duplicate providers of \'' + name + '\': ' + declarations.join(', and ')
+}
+util.inherits(DuplicateProviderError, Error)
+
+module.exports.DuplicateProviderError = DuplicateProviderError
+
+/**
+ * Raised when a provider requires a configuration property which is not defined (and has no default).
+ * 
+ * @param key     The key of the property
+ * @param chain   The logical names of the providers being built that required it, outermost first
+ */
+var MissingPropertyError = function(key, chain) {
+  Error.call(this)
+  Error.captureStackTrace(this, MissingPropertyError)
+  this.name = 'MissingPropertyError'
+  this.key = key
+  this.chain = chain
+  this.message = 'The property \'' + key + '\' is not defined' + 
+    (chain.length > 0 ? ' but is required by ' + chain.join(' -> ') : '')
+}
+util.inherits(MissingPropertyError, Error)
+
+module.exports.MissingPropertyError = MissingPropertyError
+
+/**
+ * Raised when a provider requires a logical name (other than optionally) for which no provider is registered.
+ * 
+ * @param providerName  The logical name
+ * @param chain         The logical names of the providers being built that required it, outermost first
+ */
+var MissingProviderError = function(providerName, chain) {
+  Error.call(this)
+  Error.captureStackTrace(this, MissingProviderError)
+  this.name = 'MissingProviderError'
+  this.providerName = providerName
+  this.chain = chain
+  this.requiredBy = chain[chain.length - 1]
+  this.message = 'No provider is registered for \'' + providerName + '\'' + 
+    (chain.length > 0 ? ' which is required by ' + chain.join(' -> ') : '')
+}
+util.inherits(MissingProviderError, Error)
+
+module.exports.MissingProviderError = MissingProviderError
+
+/**
+ * Raised when a factory method does not produce an instance within its timeout.
+ * 
+ * @param providerName  The logical name of the provider
+ * @param timeout       The timeout, in milliseconds
+ * @param chain         The logical names of the providers being built that led to it, outermost first (and ending with it)
+ */
+var TimeoutError = function(providerName, timeout, chain) {
+  Error.call(this)
+  Error.captureStackTrace(this, TimeoutError)
+  this.name = 'TimeoutError'
+  this.providerName = providerName
+  this.timeout = timeout
+  this.chain = chain
+  this.message = 'Timed out after ' + timeout + 'ms waiting for ' + providerName + 
+    (chain.length > 1 ? ' (required via ' + chain.join(' -> ') + ')' : '')
+}
+util.inherits(TimeoutError, Error)
+
+module.exports.TimeoutError = TimeoutError
+
+/**
+ * Raised when an annotation cannot be parsed (e.g. a missing quote, or an unknown attribute).
+ * 
+ * @param reason    What is wrong with the annotation
+ * @param location  Where it is wrong, i.e. {path, line, column} (the path is omitted for an annotation read from no file)
+ */
+var AnnotationSyntaxError = function(reason, location) {
+  Error.call(this)
+  Error.captureStackTrace(this, AnnotationSyntaxError)
+  this.name = 'AnnotationSyntaxError'
+  this.reason = reason
+  this.path = location.path
+  this.line = location.line
+  this.column = location.column
+  this.message = (location.path ? location.path + ':' : '') + location.line + ':' + location.column + ': ' + reason
+}
+util.inherits(AnnotationSyntaxError, Error)
+
+module.exports.AnnotationSyntaxError = AnnotationSyntaxError
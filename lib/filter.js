@@ -0,0 +1,43 @@
+var R = require('ramda')
+var minimatch = require('minimatch')
+
+/**
+ * Decides which of the files under a rootpath are scanned for annotated functions. Each of the (optional)
+ * settings applies to paths relative to the rootpath:
+ *
+ *   include       An array of glob patterns, at least one of which a file must match (default ['**'])
+ *   exclude       An array of glob patterns, none of which a file may match (default ['**\/node_modules/**']).
+ *                 A directory which matches a pattern that ends with '/**' is not read at all.
+ *   extensions    An array of the extensions of the files to scan (default ['.js', '.mjs'])
+ *
+ * @param options   An object of the form {include, exclude, extensions}, e.g. the options of a Context
+ */
+var Filter = function(options) {
+  this.include = [].concat(options.include || DEFAULTS.include)
+  this.exclude = [].concat(options.exclude || DEFAULTS.exclude)
+  this.extensions = [].concat(options.extensions || DEFAULTS.extensions)
+}
+
+/** Should a file be scanned? */
+Filter.prototype.accepts = function(relativePath) {
+  return R.any((extension) => relativePath.endsWith(extension), this.extensions) &&
+    R.any(matches(relativePath), this.include) &&
+    !R.any(matches(relativePath), this.exclude)
+}
+
+/** Should a directory be skipped (along with everything in it)? */
+Filter.prototype.skips = function(relativePath) {
+  return R.any((pattern) => matches(relativePath, pattern) ||
+    (pattern.endsWith('/**') && matches(relativePath, pattern.slice(0, -'/**'.length))), this.exclude)
+}
+
+module.exports = Filter
+
+/* == Private functions == */
+
+var DEFAULTS = {include: ['**'], exclude: ['**/node_modules/**'], extensions: ['.js', '.mjs']}
+
+/** Does a relative path match a glob pattern (in which wildcards also match names that start with a dot)? */
+var matches = R.curry(function(relativePath, pattern) {
+  return minimatch(relativePath, pattern, {dot: true})
+})
@@ -0,0 +1,18 @@
+var parser = require('./parser')
+
+/**
+ * Annotation wrapper to parse function annotations like:
+ * "@HealthCheck 'ping'"
+ * 
+ * Names the method to invoke on an instance provided by the function to check whether it 
+ * is healthy (see Context#checkHealth). The method may return a Promise; it is unhealthy if 
+ * it returns (or resolves to) false, throws (or rejects) or does not settle in time.
+ * 
+ * @param annotation  The text of the annotation
+ * @param location    [Optional] Where the text starts, i.e. {path, line, column}, for reporting syntax errors
+ */
+module.exports = function(annotation, location) {
+
+  this.healthCheck = parser.value(annotation, location || {line: 1, column: 1})
+
+}
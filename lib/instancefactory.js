@@ -1,25 +1,79 @@
 var R = require('ramda')
 var Promise = require('promise')
+var dependencyForms = require('./dependencies')
+var errors = require('./errors')
+var Pool = require('./pool')
 
 /**
  * A factory that produces instances of some object via some factory method (or by simply returning 
  * an instance literal). Knows the asynchonicity of that factory method (i.e. whether it takes a 
  * callback or returns a promise, or whether it is synchronous).
+ * 
+ * The (optional) options are:
+ * 
+ *   postConstruct       The name of a method to invoke on each instance once it is built (which may return a Promise)
+ *   preDestroy          The name of a method to invoke on an instance when it is disposed of (ditto)
+ *   healthCheck         The name of a method to invoke on an instance to check whether it is healthy (see Context#checkHealth)
+ *   source              Where the factory method was declared, i.e. {path, functionName}
+ *   tag                 A tag (or an array of tags) which contributes the instances to collections...
+ *   order               ...in which they are sorted by this number
+ *   primary             Whether this is the primary provider of its name
+ *   timeout             The number of milliseconds to wait for the factory method to produce an instance
+ *   retries             The number of times to retry the factory method if it fails (or times out)...
+ *   backoff             ...after waiting this many milliseconds, doubling for each subsequent retry
+ *   intercept           Which objects the instances intercept, i.e. {name, tag, order} (see @Intercept)
+ *   decorates           The logical name of the provider whose instances the factory method decorates (see @Decorates)
+ *   alias               The logical name of the provider whose instances this one provides as they are (see Binding#toAlias)
+ *   min, max            For scope='pool', the least and greatest number of pooled instances...
+ *   idleTimeout         ...and the number of milliseconds after which idle instances beyond the least are disposed of (see lib/pool)
+ * 
+ * Where the timeout, retries or backoff are not given, those of the Context's options (if any) apply.
  */
-var InstanceFactory = function(name, factoryMethodOrInstance, forceInstance, scope, async, dependencies) {
+var InstanceFactory = function(name, factoryMethodOrInstance, forceInstance, scope, async, dependencies, options) {
+  options = options || {}
   this.name = name
   if (!forceInstance && factoryMethodOrInstance instanceof Function) {
     this.factoryMethod = factoryMethodOrInstance
     this.async = async || false
-  } else { // pre-canned instance
+  } else { // pre-canned instance, which is enhanced (see Context#enhance) when it is first built
+    this.value = factoryMethodOrInstance
     this.instance = factoryMethodOrInstance
+    this.enhanced = false
     this.factoryMethod = function(callback) {
       return instance
     }
     this.async = false
+    this.literal = true
   }
   this.scope = scope || 'singleton'
-  this.dependencies = dependencies || []
+  this.dependencies = R.map(dependencyForms.normalise, dependencies || [])
+  this.postConstruct = options.postConstruct
+  this.preDestroy = options.preDestroy
+  this.healthCheck = options.healthCheck
+  this.source = options.source
+  this.tags = [].concat(options.tag || [])
+  this.order = options.order || 0
+  this.primary = !!options.primary
+  this.timeout = options.timeout
+  this.retries = options.retries
+  this.backoff = options.backoff
+  this.intercept = options.intercept
+  this.decorates = options.decorates
+  this.alias = options.alias
+  this.pool = R.pick(['min', 'max', 'idleTimeout'], options)
+}
+
+/**
+ * Decorate an instance of another provider (see @Decorates), by invoking the factory method with that 
+ * instance followed by the dependencies
+ * 
+ * @param context   The instance of di/context to use for fetching dependencies from
+ * @param chain     The logical names of the providers being built that led to this one (ending with this one)
+ * @param instance  The instance to decorate
+ * @returns {Promise} for the decorated instance
+ */
+InstanceFactory.prototype.decorate = function(context, chain, instance) {
+  return createInstance(this, context, chain, [instance])
 }
 
 /** Cache the instance in the InstanceFactory */
@@ -29,39 +83,189 @@ InstanceFactory.prototype.cache = function (instance) {
 }
   
 /**
- * Build (or return from cache) an instance of the underlying Object.
+ * Build (or return from cache) an instance of the underlying Object, which the Context then enhances 
+ * (see Context#enhance) before it is cached. A literal is enhanced the first time that it is built. For 
+ * scope='pool' the cached instance is a Pool (see lib/pool) which builds the underlying Objects as they 
+ * are borrowed.
  * 
  * @param context The instance of di/context to use for fetching dependencies from
+ * @param chain   The logical names of the providers being built that led to this one (ending with this one)
  * @returns {Promise}
  */
-InstanceFactory.prototype.build = function(context) { 
-  if (this.instance === undefined) {
-    var result = createInstance(this.dependencies, this.async, this.factoryMethod, context)
-    if (this.scope === 'singleton') return result.then(R.bind(this.cache, this))
-    else return result
+InstanceFactory.prototype.build = function(context, chain) { 
+  if (this.pending) {
+    return this.pending // a singleton (or literal) that is already being built
+  } else if (this.literal && !this.enhanced) {
+    var literal = this
+    literal.pending = enhance(literal, context, chain || [literal.name], literal.value).then((instance) => {
+      literal.enhanced = true
+      return literal.cache(instance)
+    })
+    literal.pending.then(R.bind(literal.settle, literal), R.bind(literal.settle, literal))
+    return literal.pending
+  } else if (this.instance === undefined && this.scope === 'pool') {
+    var self = this
+    var pool = new Pool(self.name, self.pool, () => buildInstance(self, context, chain || [self.name]), R.bind(self.dispose, self))
+    self.pending = pool.fill().then(R.bind(self.cache, self))
+    self.pending.then(R.bind(self.settle, self), R.bind(self.settle, self))
+    return self.pending
+  } else if (this.instance === undefined) {
+    var result = buildInstance(this, context, chain || [this.name])
+    if (this.scope === 'singleton') {
+      this.pending = result.then(R.bind(this.cache, this))
+      this.pending.then(R.bind(this.settle, this), R.bind(this.settle, this))
+      return this.pending
+    } else return result
   } else { 
     return Promise.resolve(this.instance)
   }
 }
 
+/** Forget the Promise for the singleton being built, once it has been built (or has failed) */
+InstanceFactory.prototype.settle = function() {
+  this.pending = undefined
+}
+
+/** 
+ * Drop the cached instance so that a later build() creates it afresh, or for a literal, drop the enhanced 
+ * instance so that a later build() enhances the literal afresh
+ */
+InstanceFactory.prototype.reset = function() {
+  this.instance = this.literal ? this.value : undefined
+  this.enhanced = false
+  this.pending = undefined
+}
+
+/** Copy this InstanceFactory, without any cached instance (unless it was registered as a literal) */
+InstanceFactory.prototype.clone = function() {
+  var copy = Object.assign(Object.create(InstanceFactory.prototype), this)
+  copy.reset()
+  return copy
+}
+
+/**
+ * Dispose of the cached instance (if any) by invoking its 'preDestroy' method (if any), or for scope='pool' 
+ * by draining the Pool. Unless the instance was registered as a literal it is then dropped from the cache 
+ * (even if disposing of it fails), so a later build() creates it afresh.
+ * 
+ * @returns {Promise}
+ */
+InstanceFactory.prototype.destroy = function() {
+  var self = this
+  if (self.instance === undefined) return Promise.resolve()
+  var destroyed = self.instance instanceof Pool ? self.instance.drain() : self.dispose(self.instance)
+  return destroyed.then(() => self.reset(), (err) => {
+    self.reset()
+    throw err
+  })
+}
+
+/**
+ * Dispose of an instance that was built by this InstanceFactory (but not necessarily cached by it) by 
+ * invoking its 'preDestroy' method (if any).
+ * 
+ * @param instance  The instance to dispose of
+ * @returns {Promise}
+ */
+InstanceFactory.prototype.dispose = function(instance) {
+  return invokeLifecycleMethod(this.name, 'preDestroy', this.preDestroy, instance)
+}
+
+/** Is the function an ES class (which can only be invoked with 'new')? */
+InstanceFactory.isClass = function(fn) {
+  return /^class\b/.test(Function.prototype.toString.call(fn))
+}
+
+/** 
+ * Reject with a TimeoutError if the Promise does not settle within the timeout (if any), passing whatever it 
+ * resolves to after that (if anything) to the (optional) function 'late'. The chain is that of the TimeoutError.
+ */
+InstanceFactory.withTimeout = function(timeout, name, chain, promise, late) {
+  if (!timeout) return promise
+  return new Promise((resolve, reject) => {
+    var expired = false
+    var timer = setTimeout(() => {
+      expired = true
+      reject(new errors.TimeoutError(name, timeout, chain))
+    }, timeout)
+    promise.then((instance) => {
+      clearTimeout(timer)
+      if (expired && late) late(instance)
+      else resolve(instance)
+    }, (err) => {
+      clearTimeout(timer)
+      reject(err)
+    })
+  })
+}
+
 module.exports = InstanceFactory
 
 /* == Private functions == */
 
-/** Create an instance */
-var createInstance = function(dependencies, async, factoryMethod, context) {
-  return getArgs(dependencies, context).then(apply(factoryMethod, async))
+/** 
+ * Create an instance, applying the policy for timeouts and retries of the InstanceFactory (or else of the Context), 
+ * passing the factory method any leading arguments before the dependencies
+ */
+var createInstance = function(instanceFactory, context, chain, leading) {
+  var policy = R.merge(
+    R.pick(POLICY, context.options || {}), 
+    R.pick(R.filter((setting) => instanceFactory[setting] !== undefined, POLICY), instanceFactory)
+  )
+  return getArgs(instanceFactory.dependencies, context, chain).then(R.concat(leading || [])).then((args) => {
+    var started = Date.now()
+    var diagnostics = context.diagnostics
+    diagnostics.emit('build:start', {name: instanceFactory.name, chain: chain})
+    return attempt(instanceFactory, policy, chain, args, 0).then((instance) => {
+      diagnostics.emit('build:end', {name: instanceFactory.name, chain: chain, duration: Date.now() - started})
+      return instance
+    })
+  })
+}
+
+/** Create an instance, invoke its 'postConstruct' method (if any) and have the Context enhance it */
+var buildInstance = function(instanceFactory, context, chain) {
+  return createInstance(instanceFactory, context, chain)
+    .then(invokeLifecycleMethod(instanceFactory.name, 'postConstruct', instanceFactory.postConstruct))
+    .then(enhance(instanceFactory, context, chain))
+}
+
+/** The settings of the policy for timeouts and retries */
+var POLICY = ['timeout', 'retries', 'backoff']
+
+/** 
+ * Apply the factory method to the arguments within any timeout, retrying after a backoff if it fails. An instance 
+ * which is produced after its attempt has timed out is disposed of, since nothing else will ever hold it.
+ */
+var attempt = function(instanceFactory, policy, chain, args, attempts) {
+  var applied = Promise.resolve(args).then(apply(instanceFactory.factoryMethod, instanceFactory.async))
+  var disposeLate = (instance) => instanceFactory.dispose(instance).then(null, () => {}) // too late to report a failure
+  return InstanceFactory.withTimeout(policy.timeout, instanceFactory.name, chain, applied, disposeLate).then(null, (err) => {
+    if (attempts >= (policy.retries || 0)) throw err
+    return delay((policy.backoff || 0) * Math.pow(2, attempts))
+      .then(() => attempt(instanceFactory, policy, chain, args, attempts + 1))
+  })
+}
+
+/** Return a Promise which resolves after some milliseconds */
+var delay = function(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms))
 }
 
 /** Use the Context to assemble the instances to populate the arguments to the factory method */
-var getArgs = function(dependencies, context) {
+var getArgs = function(dependencies, context, chain) {
   var promises = []
   dependencies.forEach(function(name) {
-    promises.push(context.getInstance(name))
+    promises.push(context.resolve(name, chain))
   })
   return Promise.all(promises)
 }
 
+/** Have the Context enhance an instance that has been built, e.g. by applying decorators and interceptors */
+var enhance = R.curry(function(instanceFactory, context, chain, instance) {
+  return context.enhance(instanceFactory, chain, instance)
+})
+
 /** Apply the factory method to the arguments to create an instance */
 var apply = R.curry(function(factoryMethod, async, args) {
   if (async == 'promise') {
@@ -69,9 +273,25 @@ var apply = R.curry(function(factoryMethod, async, args) {
   } else if (async == 'callback') {
     var fun = Promise.denodeify(factoryMethod)
     return fun.apply(this, args)
+  } else if (InstanceFactory.isClass(factoryMethod)) {
+    return Reflect.construct(factoryMethod, args)
+  } else if (!factoryMethod.prototype) { // e.g. an arrow function or a (bound) static method
+    return factoryMethod.apply(null, args)
   } else {
     instance = Object.create(factoryMethod.prototype)
     var returned = factoryMethod.apply(instance, args)
     return returned || instance
   }
 })
+
+/** 
+ * Invoke the named lifecycle method (if a name is given) of an instance and return a Promise that 
+ * resolves to the instance once any Promise returned by that method has resolved
+ */
+var invokeLifecycleMethod = R.curry(function(name, hook, methodName, instance) {
+  if (!methodName) return Promise.resolve(instance)
+  if (!instance || !(instance[methodName] instanceof Function)) {
+    return Promise.reject(new Error('No ' + hook + ' method \'' + methodName + '\' on the instance of ' + name))
+  }
+  return Promise.resolve().then(() => instance[methodName]()).then(R.always(instance))
+})
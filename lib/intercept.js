@@ -0,0 +1,26 @@
+var parser = require('./parser')
+
+/**
+ * Annotation wrapper to parse function annotations like:
+ * "@Intercept 'db.*'"
+ * or
+ * "@Intercept tag='repositories' order=1"
+ * 
+ * Declares that the objects provided by the function are interceptors (see lib/interceptors) of the methods 
+ * of the objects whose providers match the glob pattern of their "name" and/or declare the "tag". The 
+ * interceptors of an object are applied in their (numeric) "order", lowest (i.e. outermost) first. Note: 
+ * the prefix "name=" is optional.
+ * 
+ * @param annotation  The text of the annotation
+ * @param location    [Optional] Where the text starts, i.e. {path, line, column}, for reporting syntax errors
+ */
+var Intercept = function(annotation, location) {
+
+  this.intercept = parser.attributes(annotation, location || {line: 1, column: 1}, Intercept.attributes)
+
+}
+
+/** The attributes that may be declared in an @Intercept annotation */
+Intercept.attributes = ['name', 'tag', 'order']
+
+module.exports = Intercept
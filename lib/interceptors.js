@@ -0,0 +1,73 @@
+var R = require('ramda')
+var minimatch = require('minimatch')
+
+/**
+ * Interceptors apply cross-cutting behaviour (e.g. timing, logging, transactions or caching) to the methods 
+ * of provided objects. An interceptor is a function which is passed an invocation of a method, i.e. an 
+ * object of the form:
+ * 
+ *   target      The object (not the Proxy) whose method is invoked
+ *   provider    The logical name of its provider
+ *   method      The name of the method (or null, if the object is itself a function which is called)
+ *   args        The array of arguments
+ *   proceed     A function which invokes the next interceptor (or, after the last, the method itself) 
+ *               with the arguments (or else with an array of arguments it is given) and returns the result
+ * 
+ * and which returns the result of the method, typically by returning (or transforming) that of proceed(). 
+ * A result may be a Promise, e.g. interceptor = (invocation) => invocation.proceed().then(...).
+ */
+
+/**
+ * Convert what selects the objects to intercept into a predicate of an InstanceFactory
+ * 
+ * @param matcher   Either a glob pattern of logical names (e.g. 'db.*'), a RegExp of them, a function of an 
+ *                  InstanceFactory or else an object of the form {name, tag}, each of which (if given) must match
+ * @returns         A function (instanceFactory) => boolean
+ */
+var predicate = function(matcher) {
+  if (matcher instanceof Function) return matcher
+  else if (matcher instanceof RegExp) return (instanceFactory) => matcher.test(instanceFactory.name)
+  else if (typeof matcher === 'string') return (instanceFactory) => minimatch(instanceFactory.name, matcher)
+  else return (instanceFactory) => (matcher.name === undefined || predicate(matcher.name)(instanceFactory)) &&
+    (matcher.tag === undefined || R.contains(matcher.tag, instanceFactory.tags))
+}
+
+/**
+ * Wrap an object in a Proxy whose methods invoke a chain of interceptors, the first of them outermost. 
+ * Anything other than an object (or a function), and any object without interceptors, is left as it is.
+ * 
+ * @param instance      The object
+ * @param provider      The logical name of its provider
+ * @param interceptors  An array of interceptors
+ * @returns             The Proxy (or the object itself)
+ */
+var wrap = function(instance, provider, interceptors) {
+  if (interceptors.length === 0 || !(instance instanceof Object)) return instance
+  return new Proxy(instance, {
+    get: (target, property) => {
+      var value = Reflect.get(target, property)
+      if (!(value instanceof Function) || typeof property === 'symbol' || property === 'constructor') return value
+      return function() {
+        return invoke(interceptors, 0, {target: target, provider: provider, method: property, args: Array.from(arguments)}, value)
+      }
+    },
+    apply: (target, thisArg, args) => {
+      return invoke(interceptors, 0, {target: target, provider: provider, method: null, args: args}, target)
+    }
+  })
+}
+
+module.exports.predicate = predicate
+module.exports.wrap = wrap
+
+/* == Private functions == */
+
+/** Invoke an interceptor (or, after the last of them, the function itself) for an invocation */
+var invoke = function(interceptors, index, invocation, fn) {
+  if (index >= interceptors.length) {
+    return fn.apply(invocation.method === null ? undefined : invocation.target, invocation.args)
+  }
+  var current = R.merge(invocation, {})
+  current.proceed = (args) => invoke(interceptors, index + 1, R.merge(invocation, {args: args || current.args}), fn)
+  return interceptors[index](current)
+}
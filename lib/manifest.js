@@ -0,0 +1,94 @@
+var R = require('ramda')
+var Promise = require('promise')
+var fs = require('fs')
+var readFile = Promise.denodeify(fs.readFile)
+var writeFile = Promise.denodeify(fs.writeFile)
+
+/**
+ * A manifest is a snapshot of the providers found by scanning the rootpaths of a Context, which a Context
+ * can load instead of scanning (e.g. to speed up cold starts). It is JSON of the form:
+ *
+ *   {version: 1, files: [{root, path, mtime, providers: [{functionName, name, scope, async, dependencies, options}]}]}
+ *
+ * where 'root' is the index of the rootpath within which the file was found and 'path' is relative to that
+ * rootpath, so that the manifest still applies once the application is deployed elsewhere. The 'mtime' (in
+ * milliseconds) is that of the file when it was scanned.
+ *
+ * Within a Context, the files are held as a map of absolute paths to scans, each of the form {mtime, providers}.
+ * Since a manifest is JSON, the matcher of an interceptor (see @Intercept) must be a glob pattern or an object of
+ * the form {name, tag, order} (of a glob pattern, a tag and a number) to be written to one.
+ */
+
+var VERSION = 1
+
+/**
+ * Create a manifest of the scanned files of a Context
+ *
+ * @param scans       The map of (absolute) paths->scans
+ * @param rootpaths   The rootpaths of the Context (each with a trailing slash)
+ * @returns           The manifest
+ * @throws Error if a provider intercepts objects selected by a matcher which cannot be written as JSON
+ */
+var create = function(scans, rootpaths) {
+  return {
+    version: VERSION,
+    files: R.map((path) => {
+      var root = R.findIndex((rootpath) => path.indexOf(rootpath) === 0, rootpaths)
+      R.forEach(checkMatcher(path), scans[path].providers)
+      return {root: root, path: path.substring(rootpaths[root].length), mtime: scans[path].mtime, providers: scans[path].providers}
+    }, R.keys(scans).sort())
+  }
+}
+
+/**
+ * Read a manifest (if any) into a map of (absolute) paths->scans
+ *
+ * @param manifest    The path of a JSON manifest, or else the manifest itself (or undefined)
+ * @param rootpaths   The rootpaths of the Context (each with a trailing slash)
+ * @param optional    Whether to tolerate the absence of the file
+ * @returns {Promise} that resolves to the map of paths->scans, or to undefined if there is no manifest
+ */
+var read = function(manifest, rootpaths, optional) {
+  if (typeof manifest !== 'string') return Promise.resolve(manifest).then((loaded) => loaded && toScans(loaded, rootpaths))
+  return readFile(manifest, 'utf8').then((text) => toScans(JSON.parse(text), rootpaths), (err) => {
+    if (optional && err.code === 'ENOENT') return undefined
+    throw err
+  })
+}
+
+/**
+ * Write a manifest to a file as JSON
+ *
+ * @returns {Promise} that resolves to nothing
+ */
+var write = function(path, manifest) {
+  return writeFile(path, JSON.stringify(manifest, null, 2) + '\n')
+}
+
+module.exports.create = create
+module.exports.read = read
+module.exports.write = write
+
+/* == Private functions == */
+
+/** Check that the matcher of a provider's interceptors (if any) is a glob pattern or an object of the form {name, tag, order} */
+var checkMatcher = R.curry(function(path, provider) {
+  var matcher = provider.options.intercept
+  var types = {name: 'string', tag: 'string', order: 'number'}
+  var isPlain = (value) => value instanceof Object && Object.getPrototypeOf(value) === Object.prototype
+  if (matcher === undefined || typeof matcher === 'string') return
+  if (isPlain(matcher) && R.all((key) => types[key] !== undefined && typeof matcher[key] === types[key], R.keys(matcher))) return
+  throw new Error('Cannot write ' + provider.name + ' (in ' + path + ') to a manifest, since it intercepts the objects ' + 
+    'selected by a matcher which is not a glob pattern or an object of the form {name, tag, order}')
+})
+
+/** Convert a manifest into a map of (absolute) paths->scans */
+var toScans = function(manifest, rootpaths) {
+  if (manifest.version !== VERSION) {
+    throw new Error('Unsupported version of manifest: ' + manifest.version + ' (expected ' + VERSION + ')')
+  }
+  return R.fromPairs(R.map((file) => {
+    if (!rootpaths[file.root]) throw new Error('No rootpath ' + file.root + ' for ' + file.path + ' in the manifest')
+    return [rootpaths[file.root] + file.path, {mtime: file.mtime, providers: file.providers}]
+  }, manifest.files))
+}
@@ -0,0 +1,208 @@
+var R = require('ramda')
+var errors = require('./errors')
+
+/**
+ * A parser for the values of annotations, which never executes them. The grammar is:
+ *
+ *   attributes  :=  [value] (','? name '=' value)*          e.g. 'db' scope='prototype', async='promise'
+ *   value       :=  string | number | 'true' | 'false' | 'null' | array | call
+ *   string      :=  '...' | "..."                           (with backslash escapes)
+ *   array       :=  '[' [value (',' value)* [',']] ']'
+ *   call        :=  name '(' [value (',' value)*] ')'       (only for the functions which are allowed)
+ *
+ * Malformed text is rejected with an AnnotationSyntaxError which says where, in the file, it went wrong.
+ */
+
+/**
+ * Parse the text of an annotation as a single value
+ *
+ * @param text        The text of the annotation (after its name)
+ * @param location    Where the text starts, i.e. {path, line, column}
+ * @param functions   [Optional] A map of the names of the functions which may be called to those functions
+ * @returns           The value
+ * @throws AnnotationSyntaxError if the text is not a single value
+ */
+var value = function(text, location, functions) {
+  var parser = new Parser(text, location, functions || {})
+  var parsed = parser.value()
+  parser.end()
+  return parsed
+}
+
+/**
+ * Parse the text of an annotation as attributes, i.e. an optional positional value followed by
+ * name=value pairs (optionally separated by commas)
+ *
+ * @param text        The text of the annotation (after its name)
+ * @param location    Where the text starts, i.e. {path, line, column}
+ * @param names       The names of the attributes which may be declared, the first of which is positional
+ * @param unknown     [Optional] An array to which an AnnotationSyntaxError is added for each unknown attribute,
+ *                    which is then skipped instead of being rejected
+ * @returns           A map of the names of the declared attributes to their values
+ * @throws AnnotationSyntaxError if the text is malformed, or declares an unknown attribute (or one twice)
+ */
+var attributes = function(text, location, names, unknown) {
+  var parser = new Parser(text, location, {})
+  var parsed = {}
+  if (!parser.atEnd() && !parser.atAttribute()) parsed[names[0]] = parser.value()
+  var first = R.keys(parsed).length === 0
+  while (!parser.atEnd()) {
+    if (!first) parser.skip(',')
+    first = false
+    var start = parser.position
+    var name = parser.name()
+    var known = R.contains(name, names)
+    if (!known && !unknown) parser.fail(unknownAttribute(name, names), start)
+    if (!known) unknown.push(parser.error(unknownAttribute(name, names), start))
+    if (parsed.hasOwnProperty(name)) parser.fail('The attribute \'' + name + '\' is declared more than once', start)
+    parser.expect('=')
+    var parsedValue = parser.value()
+    if (known) parsed[name] = parsedValue
+  }
+  return parsed
+}
+
+module.exports.value = value
+module.exports.attributes = attributes
+
+/* == Private functions == */
+
+/** The state of parsing some text */
+var Parser = function(text, location, functions) {
+  this.text = text
+  this.location = location
+  this.functions = functions
+  this.position = 0
+}
+
+/** The reason given for an attribute which is not one of those that may be declared */
+var unknownAttribute = function(name, names) {
+  return 'Unknown attribute \'' + name + '\' (expected one of ' + names.join(', ') + ')'
+}
+
+/** Create an AnnotationSyntaxError for the position (by default, the current one) within the text */
+Parser.prototype.error = function(reason, position) {
+  var offset = position === undefined ? this.position : position
+  return new errors.AnnotationSyntaxError(reason, R.merge(this.location, {column: this.location.column + offset}))
+}
+
+/** Throw an AnnotationSyntaxError for the position (by default, the current one) within the text */
+Parser.prototype.fail = function(reason, position) {
+  throw this.error(reason, position)
+}
+
+/** Skip any whitespace, and return the next character (or undefined at the end of the text) */
+Parser.prototype.peek = function() {
+  while (/\s/.test(this.text.charAt(this.position))) this.position++
+  return this.position < this.text.length ? this.text.charAt(this.position) : undefined
+}
+
+/** Is the whole text consumed? */
+Parser.prototype.atEnd = function() {
+  return this.peek() === undefined
+}
+
+/** Is the next thing an attribute, i.e. name= ? */
+Parser.prototype.atAttribute = function() {
+  this.peek()
+  return /^[A-Za-z_$][\w$]*\s*=/.test(this.text.substring(this.position))
+}
+
+/** Skip the character if it is next */
+Parser.prototype.skip = function(character) {
+  if (this.peek() === character) this.position++
+}
+
+/** Consume the character, which must be next */
+Parser.prototype.expect = function(character) {
+  var next = this.peek()
+  if (next !== character) this.fail('Expected \'' + character + '\' but found ' + describe(next))
+  this.position++
+}
+
+/** Fail unless the whole text is consumed */
+Parser.prototype.end = function() {
+  var next = this.peek()
+  if (next !== undefined) this.fail('Unexpected ' + describe(next) + ' after the value')
+}
+
+/** Consume a name */
+Parser.prototype.name = function() {
+  this.peek()
+  var match = this.text.substring(this.position).match(/^[A-Za-z_$][\w$]*/)
+  if (!match) this.fail('Expected a name but found ' + describe(this.peek()))
+  this.position += match[0].length
+  return match[0]
+}
+
+/** Consume a value */
+Parser.prototype.value = function() {
+  var next = this.peek()
+  if (next === '\'' || next === '"') return this.string()
+  else if (next === '[') return this.array()
+  else if (next !== undefined && /[-\d]/.test(next)) return this.number()
+  else if (next !== undefined && /[A-Za-z_$]/.test(next)) return this.word()
+  else this.fail('Expected a value but found ' + describe(next))
+}
+
+/** Consume a quoted string */
+Parser.prototype.string = function() {
+  var start = this.position
+  var quote = this.text.charAt(this.position++)
+  var result = ''
+  while (this.position < this.text.length && this.text.charAt(this.position) !== quote) {
+    var character = this.text.charAt(this.position++)
+    if (character === '\\' && this.position < this.text.length) {
+      var escaped = this.text.charAt(this.position++)
+      result += ESCAPES[escaped] || escaped
+    } else result += character
+  }
+  if (this.position >= this.text.length) this.fail('Unterminated string', start)
+  this.position++
+  return result
+}
+
+/** Consume a number */
+Parser.prototype.number = function() {
+  var match = this.text.substring(this.position).match(/^-?\d+(\.\d+)?/)
+  if (!match) this.fail('Expected a number but found ' + describe(this.peek()))
+  this.position += match[0].length
+  return Number(match[0])
+}
+
+/** Consume an array of values */
+Parser.prototype.array = function() {
+  var result = []
+  this.expect('[')
+  while (this.peek() !== ']') {
+    result.push(this.value())
+    if (this.peek() !== ']') this.expect(',')
+  }
+  this.expect(']')
+  return result
+}
+
+/** Consume true, false, null or a call of one of the functions */
+Parser.prototype.word = function() {
+  var start = this.position
+  var name = this.name()
+  if (LITERALS.hasOwnProperty(name)) return LITERALS[name]
+  if (!this.functions.hasOwnProperty(name)) this.fail('Unexpected \'' + name + '\'', start)
+  var args = []
+  this.expect('(')
+  while (this.peek() !== ')') {
+    args.push(this.value())
+    if (this.peek() !== ')') this.expect(',')
+  }
+  this.expect(')')
+  return this.functions[name].apply(null, args)
+}
+
+var LITERALS = {'true': true, 'false': false, 'null': null}
+
+var ESCAPES = {n: '\n', r: '\r', t: '\t'}
+
+/** Describe a character that was found, for an error message */
+var describe = function(character) {
+  return character === undefined ? 'the end of the annotation' : '\'' + character + '\''
+}
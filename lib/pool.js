@@ -0,0 +1,225 @@
+var R = require('ramda')
+var Promise = require('promise')
+
+/**
+ * A pool of reusable instances (e.g. expensive connections), which is what a provider of scope='pool'
+ * provides. Consumers borrow an instance and then release it back to the pool:
+ *
+ *   pool.acquire().then((connection) => { ...; return pool.release(connection) })
+ *
+ * or, to release it automatically once a function (which may return a Promise) is done with it:
+ *
+ *   pool.use((connection) => connection.query(...))
+ *
+ * The settings (all optional) are:
+ *
+ *   min           The number of instances to build up front and to keep even when idle (default 0)
+ *   max           The greatest number of instances at any time, beyond which borrowers wait (default 10)
+ *   idleTimeout   The number of milliseconds after which an idle instance beyond the minimum is disposed
+ *                 of (default 30000, or 0 to keep every instance)
+ *
+ * @param name      The logical name of the provider
+ * @param settings  An object of the form {min, max, idleTimeout}
+ * @param create    A function which returns a Promise for a new instance
+ * @param dispose   A function which disposes of an instance (returning a Promise)
+ */
+var Pool = function(name, settings, create, dispose) {
+  this.name = name
+  this.min = settings.min || 0
+  this.max = settings.max || DEFAULTS.max
+  this.idleTimeout = settings.idleTimeout === undefined ? DEFAULTS.idleTimeout : settings.idleTimeout
+  this.create = create
+  this.dispose = dispose
+  this.idle = []
+  this.borrowed = []
+  this.waiting = []
+  this.creating = 0
+  this.created = 0
+  this.destroyed = 0
+  this.draining = false
+}
+
+/**
+ * Build the minimum number of instances
+ *
+ * @returns {Promise} that resolves to the Pool itself
+ */
+Pool.prototype.fill = function() {
+  var self = this
+  return Promise.all(R.map(() => grow(self).then((instance) => makeIdle(self, instance)), R.range(0, self.min)))
+    .then(R.always(self))
+}
+
+/**
+ * Borrow an instance, which is an idle one if there is any, or else a new one if the pool is not full, or
+ * else the next one to be released
+ *
+ * @param callback    The (optional) callback for non-Promise based invocation.
+ * @returns {Promise} that resolves to the instance (if not using Node-style callbacks)
+ */
+Pool.prototype.acquire = function(callback) {
+  var self = this
+  var borrowed = undefined
+  if (self.draining) {
+    borrowed = Promise.reject(new Error('The pool of ' + self.name + ' has been drained'))
+  } else if (self.idle.length > 0) {
+    var entry = self.idle.pop()
+    clearTimeout(entry.timer)
+    self.borrowed.push(entry.instance)
+    borrowed = Promise.resolve(entry.instance)
+  } else if (size(self) < self.max) {
+    borrowed = grow(self).then((instance) => {
+      self.borrowed.push(instance)
+      return instance
+    })
+  } else {
+    borrowed = new Promise((resolve, reject) => self.waiting.push({resolve: resolve, reject: reject}))
+  }
+  return borrowed.nodeify(callback)
+}
+
+/**
+ * Return a borrowed instance to the pool, which hands it to the next borrower (if any is waiting)
+ *
+ * @returns {Promise} that resolves once the instance has been released (or disposed of, if the pool has been drained)
+ * @throws Error if the instance was not borrowed from this pool
+ */
+Pool.prototype.release = function(instance) {
+  unborrow(this, instance)
+  if (this.draining) return destroy(this, instance)
+  if (this.waiting.length > 0) {
+    this.borrowed.push(instance)
+    this.waiting.shift().resolve(instance)
+  } else makeIdle(this, instance)
+  return Promise.resolve()
+}
+
+/**
+ * Dispose of a borrowed instance instead of releasing it (e.g. a broken connection), building a new one for
+ * the next borrower (if any is waiting)
+ *
+ * @returns {Promise} that resolves once the instance has been disposed of
+ * @throws Error if the instance was not borrowed from this pool
+ */
+Pool.prototype.invalidate = function(instance) {
+  var self = this
+  unborrow(self, instance)
+  if (self.waiting.length > 0 && !self.draining) {
+    var waiter = self.waiting.shift()
+    grow(self).then((replacement) => {
+      self.borrowed.push(replacement)
+      waiter.resolve(replacement)
+    }, waiter.reject)
+  }
+  return destroy(self, instance)
+}
+
+/**
+ * Borrow an instance for as long as a function takes to use it, then release it
+ *
+ * @param fn    A function of the instance, which may return a Promise
+ * @returns {Promise} for the result of the function
+ */
+Pool.prototype.use = function(fn) {
+  var self = this
+  return self.acquire().then((instance) => {
+    return Promise.resolve().then(() => fn(instance)).then((result) => {
+      return self.release(instance).then(R.always(result))
+    }, (err) => {
+      return self.release(instance).then(() => {
+        throw err
+      })
+    })
+  })
+}
+
+/**
+ * Get the statistics of the pool, i.e. an object of the form
+ * {name, size, idle, borrowed, waiting, min, max, created, destroyed}
+ */
+Pool.prototype.stats = function() {
+  return {
+    name: this.name,
+    size: size(this),
+    idle: this.idle.length,
+    borrowed: this.borrowed.length,
+    waiting: this.waiting.length,
+    min: this.min,
+    max: this.max,
+    created: this.created,
+    destroyed: this.destroyed
+  }
+}
+
+/**
+ * Stop lending instances: anyone waiting to borrow one is rejected, the idle instances are disposed of and the
+ * borrowed ones are disposed of as they are released
+ *
+ * @returns {Promise} that resolves once the idle instances have been disposed of
+ */
+Pool.prototype.drain = function() {
+  var self = this
+  var idle = self.idle
+  self.draining = true
+  self.idle = []
+  R.forEach((waiter) => waiter.reject(new Error('The pool of ' + self.name + ' has been drained')), self.waiting)
+  self.waiting = []
+  return Promise.all(R.map((entry) => {
+    clearTimeout(entry.timer)
+    return destroy(self, entry.instance)
+  }, idle)).then(R.always(self))
+}
+
+module.exports = Pool
+
+/* == Private functions == */
+
+var DEFAULTS = {max: 10, idleTimeout: 30000}
+
+/** The number of instances of a Pool, including those being built */
+var size = function(pool) {
+  return pool.idle.length + pool.borrowed.length + pool.creating
+}
+
+/** Build a new instance for a Pool */
+var grow = function(pool) {
+  pool.creating++
+  return pool.create().then((instance) => {
+    pool.creating--
+    pool.created++
+    return instance
+  }, (err) => {
+    pool.creating--
+    throw err
+  })
+}
+
+/** Keep an instance idle in a Pool until it is borrowed or, if it is beyond the minimum, until it times out */
+var makeIdle = function(pool, instance) {
+  var entry = {instance: instance}
+  if (pool.idleTimeout > 0) {
+    entry.timer = setTimeout(() => evict(pool, entry), pool.idleTimeout)
+    if (entry.timer.unref) entry.timer.unref() // idle instances should not keep the process alive
+  }
+  pool.idle.push(entry)
+}
+
+/** Dispose of an idle instance which has timed out, unless the Pool would then hold fewer than its minimum */
+var evict = function(pool, entry) {
+  if (size(pool) <= pool.min || !R.contains(entry, pool.idle)) return
+  pool.idle = R.reject(R.equals(entry), pool.idle)
+  destroy(pool, entry.instance)
+}
+
+/** Remove an instance from those borrowed from a Pool */
+var unborrow = function(pool, instance) {
+  var index = pool.borrowed.indexOf(instance)
+  if (index < 0) throw new Error('The instance was not borrowed from the pool of ' + pool.name)
+  pool.borrowed.splice(index, 1)
+}
+
+/** Dispose of an instance of a Pool */
+var destroy = function(pool, instance) {
+  pool.destroyed++
+  return Promise.resolve(pool.dispose(instance))
+}
@@ -0,0 +1,18 @@
+var parser = require('./parser')
+
+/**
+ * Annotation wrapper to parse function annotations like:
+ * "@PostConstruct 'init'"
+ * 
+ * Names the method to invoke on each instance provided by the function once it has been 
+ * built. The method may return a Promise, in which case the instance is not handed out 
+ * until that Promise resolves.
+ * 
+ * @param annotation  The text of the annotation
+ * @param location    [Optional] Where the text starts, i.e. {path, line, column}, for reporting syntax errors
+ */
+module.exports = function(annotation, location) {
+
+  this.postConstruct = parser.value(annotation, location || {line: 1, column: 1})
+
+}
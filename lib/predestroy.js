@@ -0,0 +1,17 @@
+var parser = require('./parser')
+
+/**
+ * Annotation wrapper to parse function annotations like:
+ * "@PreDestroy 'close'"
+ * 
+ * Names the method to invoke on each (singleton) instance provided by the function when 
+ * the Context is shut down. The method may return a Promise.
+ * 
+ * @param annotation  The text of the annotation
+ * @param location    [Optional] Where the text starts, i.e. {path, line, column}, for reporting syntax errors
+ */
+module.exports = function(annotation, location) {
+
+  this.preDestroy = parser.value(annotation, location || {line: 1, column: 1})
+
+}
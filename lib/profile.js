@@ -0,0 +1,22 @@
+var parser = require('./parser')
+
+/**
+ * Annotation wrapper to parse function annotations like:
+ * "@Profile 'prod'"
+ * or
+ * "@Profile ['dev', 'test']"
+ * or
+ * "@Profile '!prod'"
+ * 
+ * Registers the function only when one of the profiles is active (see the 'profiles' option of a 
+ * Context), or, for a profile prefixed with '!', when that profile is not active. Equivalent to the 
+ * "profile" attribute of @Provides.
+ * 
+ * @param annotation  The text of the annotation
+ * @param location    [Optional] Where the text starts, i.e. {path, line, column}, for reporting syntax errors
+ */
+module.exports = function(annotation, location) {
+
+  this.profile = parser.value(annotation, location || {line: 1, column: 1})
+
+}
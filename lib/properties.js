@@ -0,0 +1,124 @@
+var R = require('ramda')
+var fs = require('fs')
+
+/**
+ * A layered view of configuration properties, which are identified by dotted keys such as 'db.uri'. 
+ * Each source is one of:
+ * 
+ *   {file: '/path/to/config.json'}   A JSON file, or else (if the path ends in .yml or .yaml) a file of 
+ *                                    nested 'key: value' mappings. Add 'optional: true' to tolerate its absence.
+ *   {env: 'APP_'}                    The environment variables that start with the prefix, so that APP_DB_URI 
+ *                                    becomes 'db.uri'. Add 'variables' to read other than process.env.
+ *   {values: {db: {uri: '...'}}}     Explicit values (e.g. overrides), optionally described by a 'name'.
+ * 
+ * Later sources take precedence over earlier ones. Values which are read as text (from the environment or 
+ * YAML files) are converted to booleans, numbers or null where they look like one.
+ * 
+ * @param sources   An array of sources, in increasing order of precedence
+ */
+var Properties = function(sources) {
+  this.entries = R.reduce((entries, source) => R.merge(entries, readSource(source)), {}, sources || [])
+}
+
+/** Is the property defined? */
+Properties.prototype.has = function(key) {
+  return this.entries.hasOwnProperty(key)
+}
+
+/** Get the effective value of a property (or undefined if it is not defined) */
+Properties.prototype.get = function(key) {
+  return this.has(key) ? this.entries[key].value : undefined
+}
+
+/**
+ * List the effective properties and where each came from
+ * 
+ * @returns   An array of {key, value, source}, sorted by key
+ */
+Properties.prototype.list = function() {
+  var entries = this.entries
+  return R.map((key) => R.merge({key: key}, entries[key]), R.keys(entries).sort())
+}
+
+/** Convert text to the boolean, number or null that it looks like (if any) */
+Properties.coerce = function(text) {
+  if (typeof text !== 'string') return text
+  var trimmed = text.trim()
+  if (trimmed === 'true') return true
+  if (trimmed === 'false') return false
+  if (trimmed === 'null') return null
+  if (trimmed !== '' && !isNaN(Number(trimmed))) return Number(trimmed)
+  return text
+}
+
+module.exports = Properties
+
+/* == Private functions == */
+
+/** Read the entries (a map of key -> {value, source}) of a source */
+var readSource = function(source) {
+  if (source.file) return readFile(source)
+  else if (source.env !== undefined) return readEnvironment(source)
+  else return toEntries(source.name || 'values', source.values || {})
+}
+
+/** Read the entries of a JSON or YAML file */
+var readFile = function(source) {
+  if (source.optional && !fs.existsSync(source.file)) return {}
+  var text = fs.readFileSync(source.file, 'utf8')
+  var values = /\.ya?ml$/.test(source.file) ? parseYaml(text) : JSON.parse(text)
+  return toEntries('file:' + source.file, values)
+}
+
+/** Read the entries of the environment variables that start with a prefix */
+var readEnvironment = function(source) {
+  var variables = source.variables || process.env
+  var names = R.filter((name) => name.indexOf(source.env) === 0 && name.length > source.env.length, R.keys(variables))
+  return R.fromPairs(R.map((name) => {
+    var key = name.substring(source.env.length).toLowerCase().replace(/_/g, '.')
+    return [key, {value: Properties.coerce(variables[name]), source: 'env:' + name}]
+  }, names))
+}
+
+/** Flatten nested values into entries with dotted keys, all from the same source */
+var toEntries = function(sourceName, values) {
+  var entries = {}
+  var flatten = function(prefix, value) {
+    if (value instanceof Object && !Array.isArray(value)) {
+      R.forEach((key) => flatten(prefix + key + '.', value[key]), R.keys(value))
+    } else {
+      entries[prefix.substring(0, prefix.length - 1)] = {value: value, source: sourceName}
+    }
+  }
+  flatten('', values)
+  return entries
+}
+
+/** 
+ * Parse a (small) subset of YAML: nested mappings of 'key: value' lines, where nesting is by indentation. 
+ * Comments (#) and blank lines are ignored, and quoted values are taken literally.
+ */
+var parseYaml = function(text) {
+  var root = {}
+  var stack = [{indent: -1, values: root}]
+  R.forEach((line) => {
+    var content = line.replace(/\s+#.*$/, '').replace(/^#.*$/, '')
+    if (content.trim() === '') return
+    var indent = content.search(/\S/)
+    var separator = content.indexOf(':')
+    if (separator < 0) throw new Error('Cannot parse the line "' + line + '" (expected key: value)')
+    var key = content.substring(indent, separator).trim()
+    var value = content.substring(separator + 1).trim()
+    while (indent <= R.last(stack).indent) stack.pop()
+    var parent = R.last(stack).values
+    if (value === '') {
+      parent[key] = {}
+      stack.push({indent: indent, values: parent[key]})
+    } else if (/^(['"]).*\1$/.test(value)) {
+      parent[key] = value.substring(1, value.length - 1)
+    } else {
+      parent[key] = Properties.coerce(value)
+    }
+  }, text.split(/\r?\n/))
+  return root
+}
@@ -1,3 +1,5 @@
+var parser = require('./parser')
+
 /**
  * Annotation wrapper to parse function annotations like:
  * "@Provides 'db.connection'"
@@ -14,21 +16,42 @@
  * to 'promise' it indicates that the function returns a Promise. If set to 'callback' 
  * it indicates that the function accepts a Node-style final parameter which is a 
  * callback function.
+ * 
+ * The optional "tag" (a string, or an array of strings) contributes the objects to 
+ * collections which are required via "@Requires all('tag')", within which they are 
+ * ordered by the (numeric) "order" attribute, lowest first. If "primary" is true then 
+ * the function takes precedence over any other provider of the same name.
+ * 
+ * For asynchronous functions, "timeout" is the number of milliseconds to wait for an 
+ * object, and "retries" the number of times to retry the function if it fails (or times 
+ * out), after waiting "backoff" milliseconds (doubling for each subsequent retry).
+ * 
+ * The optional "profile" (a string, or an array of strings) registers the function only 
+ * when one of those profiles is active, as per @Profile.
+ * 
+ * With scope='pool' the function builds objects for a pool (see lib/pool), which is what 
+ * is injected: "min" objects are built up front, at most "max" exist at once, and those 
+ * beyond the "min" are disposed of once idle for "idleTimeout" milliseconds.
+ * 
+ * Attributes may be separated by commas as well as by spaces. A malformed value is 
+ * rejected with an AnnotationSyntaxError, while any other attribute is skipped and an 
+ * AnnotationSyntaxError for it is added to "unknownAttributes" (which the Context 
+ * reports as a problem, see Context#validate).
+ * 
+ * @param annotation  The text of the annotation
+ * @param location    [Optional] Where the text starts, i.e. {path, line, column}, for reporting syntax errors
  */
-module.exports = function(annotation) {
+var Provides = function(annotation, location) {
+  var unknown = []
+  var declared = parser.attributes(annotation, location || {line: 1, column: 1}, Provides.attributes, unknown)
+  this.scope = 'singleton'
+  this.async = false
+  Object.assign(this, declared)
+  this.unknownAttributes = unknown
+}
+
+/** The attributes that may be declared in a @Provides annotation (the first of which may be given without its name) */
+Provides.attributes = ['name', 'scope', 'async', 'tag', 'order', 'primary', 'timeout', 'retries', 'backoff', 'profile', 
+  'min', 'max', 'idleTimeout']
 
-  // Syntactic sugar: accept "@Provides 'foo'" as well as "@Provides name='foo'"
-  if (annotation.indexOf('\'') == 0 && annotation.indexOf('name') == -1) {
-    annotation = 'name=' + annotation
-  }
-  // Turn the annotation into an Object literal
-  annotation = "{" + annotation.replace(' ', ', ').replace(/=/g, ':') + "}"
-  // Make the expression eval-able by enclosing 
-  var expr = "(" + annotation + ")"
-  // Evaluate
-  var evaluated = eval(expr)
-  this.name = evaluated.name
-  this.scope = evaluated.scope || 'singleton'
-  this.async = evaluated.async || false
- 
-}
\ No newline at end of file
+module.exports = Provides
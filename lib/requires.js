@@ -1,11 +1,26 @@
+var dependencies = require('./dependencies')
+var parser = require('./parser')
+
 /**
  * Annotation wrapper to parse function annotations like:
  * "Requires 'foo'
  * or 
  * "Requires ['db.connection', 'config']"
+ * or
+ * "Requires ['app', all('routes')]"
+ * or
+ * "Requires ['app', lazy('mailer'), provider('request')]"
+ * or
+ * "Requires ['app', 'metrics?', optional('tracer', null)]"
+ * 
+ * @param annotation  The text of the annotation
+ * @param location    [Optional] Where the text starts, i.e. {path, line, column}, for reporting syntax errors
  */
-module.exports = function(annotation) {
+module.exports = function(annotation, location) {
+
+  this.dependencies = [].concat(parser.value(annotation, location || {line: 1, column: 1}, FUNCTIONS))
 
-  this.dependencies = [].concat(eval(annotation))
+}
 
-}
\ No newline at end of file
+// The special forms of dependency, which may be used within the annotation
+var FUNCTIONS = {all: dependencies.all, lazy: dependencies.lazy, provider: dependencies.provider, optional: dependencies.optional}
@@ -0,0 +1,153 @@
+var R = require('ramda')
+var Promise = require('promise')
+var Context = require('./context')
+var InstanceFactory = require('./instancefactory')
+
+/**
+ * Utilities for tests which use a Context (available as require('abdicate/testing')). A typical spec 
+ * bootstraps a Context once, then clones it for each test, replaces any providers that should not be 
+ * used for real (e.g. the database) and builds only the part of the graph that it is testing:
+ * 
+ *   beforeAll(() => bootstrapped = new Context([rootpath]).bootstrap(false))
+ *   beforeEach(() => bootstrapped.then((context) => {
+ *     context = testing.clone(context)
+ *     testing.stub(context, 'db.connection', fakeConnection)
+ *   }))
+ *   it('...', () => testing.isolate(context, 'user.model').then(...))
+ */
+
+/**
+ * Copy a Context (typically, one which has been bootstrapped) so that files need only be scanned once. 
+ * The copy has the same providers but none of their instances (other than literals), and replacing 
+ * providers in the copy does not affect the original.
+ * 
+ * @param context   The Context to copy
+ * @returns {Context} the copy
+ */
+var clone = function(context) {
+  var copy = new Context(context.rootpaths, R.omit(['properties'], context.options))
+  copy.parent = context.parent
+  copy.properties = context.properties
+  copy.interceptors = context.interceptors.slice()
+  copy.postProcessors = context.postProcessors.slice()
+  copy.factories = R.mapObj((fac) => fac.clone(), context.factories)
+  copy.contributions = R.map((fac) => {
+    return context.factories[fac.name] === fac ? copy.factories[fac.name] : fac.clone()
+  }, context.contributions)
+  return copy
+}
+
+/**
+ * Replace the provider of a name with a literal value (such as a test double), which keeps any tags 
+ * and order of the provider that it replaces. Unlike Context#register(), this is never a conflict.
+ * 
+ * @param context   The Context
+ * @param name      The logical name
+ * @param value     The value to provide instead
+ * @returns {Context} the Context
+ */
+var stub = function(context, name, value) {
+  var existing = context.factories[name]
+  var options = existing ? {tag: existing.tags, order: existing.order} : {}
+  return replace(context, existing, new InstanceFactory(name, value, true, 'singleton', false, [], options))
+}
+
+/**
+ * Record how a provider builds its instances, i.e. the arguments that its factory method is called with 
+ * and the instance that results. The provider may also be replaced by another factory method (which is 
+ * called with the same dependencies, in the same way).
+ * 
+ * @param context         The Context
+ * @param name            The logical name of the provider
+ * @param factoryMethod   [Optional] A factory method to use in place of the provider's own
+ * @returns               The spy: an object {name, calls} where each call is of the form {args, instance}
+ */
+var spy = function(context, name, factoryMethod) {
+  var existing = context.factories[name]
+  if (!existing) throw new Error('No provider of ' + name + ' to spy on')
+  var calls = []
+  var original = factoryMethod || (existing.literal ? R.always(existing.value) : existing.factoryMethod)
+  var fac = existing.clone()
+  fac.factoryMethod = recordCalls(original, fac.async, calls)
+  fac.literal = false
+  fac.reset()
+  replace(context, existing, fac)
+  return {name: name, calls: calls}
+}
+
+/**
+ * Build the named provider(s) and only the instances that they (transitively) require, leaving any 
+ * unrelated singletons unbuilt.
+ * 
+ * @param context   The Context
+ * @param names     A logical name, or an array of them
+ * @returns {Promise} for the instance, or for a map of names to instances if given an array of names
+ */
+var isolate = function(context, names) {
+  if (Array.isArray(names)) return context.getInstances(names)
+  else return context.getInstance(names)
+}
+
+/**
+ * Forget every instance that has been built by a Context (both in Context#instances and in its 
+ * InstanceFactories), e.g. between tests, without disposing of them.
+ * 
+ * @param context   The Context
+ * @returns {Context} the Context
+ */
+var reset = function(context) {
+  context.instances = {}
+  context.pending = {}
+  context.failures = {}
+  R.forEach((fac) => fac.reset(), R.concat(R.values(context.factories), context.contributions))
+  return context
+}
+
+module.exports.clone = clone
+module.exports.stub = stub
+module.exports.spy = spy
+module.exports.isolate = isolate
+module.exports.reset = reset
+
+/* == Private functions == */
+
+/** Replace an InstanceFactory of a Context (including as a contribution to collections) and drop its instance */
+var replace = function(context, existing, replacement) {
+  context.factories[replacement.name] = replacement
+  context.contributions = R.map((fac) => fac === existing ? replacement : fac, context.contributions)
+  if (!existing && replacement.tags.length > 0) context.contributions.push(replacement)
+  delete context.instances[replacement.name]
+  return context
+}
+
+/** 
+ * Wrap a factory method so as to record each call of it in an array. The wrapper looks like the original
+ * (the same prototype and number of parameters) so that it is invoked in the same way, other than a class, 
+ * which the wrapper constructs with 'new' (since a class cannot be invoked otherwise).
+ */
+var recordCalls = function(factoryMethod, async, calls) {
+  var recorder = function() {
+    var args = Array.prototype.slice.call(arguments)
+    var call = {args: async == 'callback' ? R.init(args) : args, instance: undefined}
+    var record = (instance) => {
+      call.instance = instance
+      return instance
+    }
+    calls.push(call)
+    if (async == 'callback') {
+      var callback = R.last(args)
+      return factoryMethod.apply(this, R.append((err, instance) => callback(err, record(instance)), R.init(args)))
+    } else if (async == 'promise') {
+      return Promise.resolve(factoryMethod.apply(this, args)).then(record)
+    } else if (InstanceFactory.isClass(factoryMethod)) {
+      return record(Reflect.construct(factoryMethod, args))
+    } else {
+      var returned = factoryMethod.apply(this, args)
+      record(returned || this)
+      return returned
+    }
+  }
+  recorder.prototype = factoryMethod.prototype
+  Object.defineProperty(recorder, 'length', {value: factoryMethod.length})
+  return recorder
+}
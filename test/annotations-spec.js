@@ -0,0 +1,73 @@
+var Context = require('lib/context')
+var Provides = require('lib/provides')
+var Requires = require('lib/requires')
+var errors = require('lib/errors')
+var path = require('path')
+
+describe('annotations', function() {
+
+  var syntaxError = function(parse) {
+    try {
+      parse()
+    } catch (err) {
+      return err
+    }
+  }
+
+  it('declare any number of @Provides attributes, separated by spaces or commas', function() {
+    var provides = new Provides('\'db\' scope=\'prototype\' async="promise", tag=[\'a\', \'b\'] order=-2 primary=true timeout=50')
+    expect(provides.name).toEqual('db')
+    expect(provides.scope).toEqual('prototype')
+    expect(provides.async).toEqual('promise')
+    expect(provides.tag).toEqual(['a', 'b'])
+    expect(provides.order).toEqual(-2)
+    expect(provides.primary).toBe(true)
+    expect(provides.timeout).toEqual(50)
+  })
+
+  it('accept quotes and commas within values', function() {
+    expect(new Provides('name=\'it\\\'s, "quoted"\'').name).toEqual('it\'s, "quoted"')
+    expect(new Requires('[\'a,b\', "${db.uri:mongodb://localhost}"]').dependencies).toEqual(['a,b', '${db.uri:mongodb://localhost}'])
+  })
+
+  it('declare collections as @Requires dependencies', function() {
+    expect(new Requires('[\'app\', all(\'routes\', \'map\')]').dependencies).toEqual(['app', {kind: 'all', tag: 'routes', form: 'map'}])
+  })
+
+  it('never execute code', function() {
+    var err = syntaxError(() => new Requires('process.exit(1)'))
+    expect(err instanceof errors.AnnotationSyntaxError).toBe(true)
+    expect(err.message).toEqual('1:1: Unexpected \'process\'')
+  })
+
+  it('report where malformed text goes wrong', function() {
+    var location = {path: '/app/db.js', line: 7, column: 14}
+    expect(syntaxError(() => new Provides('\'db\' scope=\'prototype', location)).message).toEqual('/app/db.js:7:25: Unterminated string')
+    expect(syntaxError(() => new Requires('[\'a\' \'b\']', location)).message).toEqual('/app/db.js:7:19: Expected \',\' but found \'\'\'')
+    expect(syntaxError(() => new Provides('\'db\' scope=', location)).message).toEqual('/app/db.js:7:25: Expected a value but found the end of the annotation')
+    expect(syntaxError(() => new Provides('\'db\' primary=true primary=false', location)).message).toEqual('/app/db.js:7:32: The attribute \'primary\' is declared more than once')
+  })
+
+  it('skip unknown @Provides attributes, recording where they are', function() {
+    var provides = new Provides('scpe=\'prototype\', name=\'db\'', {path: '/app/db.js', line: 3, column: 13})
+    expect(provides.name).toEqual('db')
+    expect(provides.scope).toEqual('singleton')
+    expect(provides.unknownAttributes.length).toEqual(1)
+    expect(provides.unknownAttributes[0].message).toMatch(/^\/app\/db.js:3:13: Unknown attribute 'scpe'/)
+  })
+
+  it('reject unknown @Provides attributes with the file, line and column', function(done) {
+    var fixtures = path.join(__dirname, 'fixtures', 'annotations')
+    new Context([fixtures]).bootstrap(false).then(function() {
+      fail('Expected an AnnotationSyntaxError')
+      done()
+    }, function(err) {
+      expect(err instanceof errors.AnnotationSyntaxError).toBe(true)
+      expect(err.path).toEqual(path.join(fixtures, 'unknown.js'))
+      expect([err.line, err.column]).toEqual([2, 36])
+      expect(err.reason).toContain('Unknown attribute \'scpe\'')
+      done()
+    })
+  })
+
+})
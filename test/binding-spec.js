@@ -0,0 +1,129 @@
+var Context = require('lib/context')
+var dependencies = require('lib/dependencies')
+var decorators = require('lib/decorators')
+var R = require('ramda')
+var path = require('path')
+
+describe('fluent registration', function() {
+
+  var context = undefined
+
+  var errorHandler = R.curry(function(done, err) {
+    fail(err)
+    done()
+  })
+
+  beforeEach(function(done) {
+    context = new Context([])
+    done()
+  })
+
+  it('registers the same InstanceFactories as register()', function(done) {
+    var connect = function(config) { return Promise.resolve({uri: config.uri}) }
+    context.bind('config').toValue({uri: 'db://localhost'})
+    context.bind('db').toFactory(connect).async('promise').scope('singleton').requires('config')
+    var factory = context.factories['db']
+    expect(factory.factoryMethod).toBe(connect)
+    expect(factory.async).toEqual('promise')
+    expect(factory.dependencies).toEqual(['config'])
+    context.getInstance('db').then(function(db) {
+      expect(db.uri).toEqual('db://localhost')
+      done()
+    }, errorHandler(done))
+  })
+
+  it('builds classes with new, and provides values even when they are functions', function(done) {
+    class Greeter {
+      constructor(greet) { 
+        this.greeting = greet('world') 
+      }
+    }
+    context.bind('greet').toValue((name) => 'Hello ' + name)
+    context.bind('greeter').toClass(Greeter).requires(['greet']).scope('prototype')
+    context.getInstances(['greeter', 'greeter']).then(function(instances) {
+      expect(instances.greeter[0].greeting).toEqual('Hello world')
+      expect(instances.greeter[0]).not.toBe(instances.greeter[1])
+      done()
+    }, errorHandler(done))
+    expect(() => context.bind('nothing').toClass({})).toThrowError(TypeError)
+  })
+
+  it('aliases another name, sharing its instances', function(done) {
+    context.bind('db').toFactory(function() { this.id = Math.random() })
+    context.bind('database').toAlias('db')
+    context.getInstances(['db', 'database']).then(function(instances) {
+      expect(instances.database).toBe(instances.db)
+      done()
+    }, errorHandler(done))
+  })
+
+  it('resolves an alias to the instance of the other name, which is enhanced only once', function(done) {
+    var processed = 0
+    context.addPostProcessor((instance) => {
+      processed++
+      return {wrapped: instance}
+    })
+    context.bind('db').toFactory(function() { this.id = Math.random() })
+    context.bind('database').toAlias('db')
+    context.getInstance('database').then(function(database) {
+      return context.getInstances(['db', 'database']).then(function(instances) {
+        expect(instances.database).toBe(database)
+        expect(instances.db).toBe(database)
+        expect(processed).toEqual(1)
+        done()
+      })
+    }).then(null, errorHandler(done))
+  })
+
+  it('replaces its provider as each setting is given, including its contributions', function(done) {
+    context.bind('en').toValue('Hello').tag('greetings').order(2)
+    context.bind('fr').toValue('Bonjour').tag('greetings').order(1)
+    context.bind('greetings').toFactory(R.identity).requires(dependencies.all('greetings'))
+    expect(context.contributions.length).toEqual(2)
+    context.getInstance('greetings').then(function(greetings) {
+      expect(greetings).toEqual(['Bonjour', 'Hello'])
+      done()
+    }, errorHandler(done))
+  })
+
+  it('applies the settings of decorators, which may be overridden', function(done) {
+    var connect = function(config) { this.config = config }
+    decorators.Requires('config')(connect, {kind: 'class', name: 'connect'})
+    decorators.Provides({scope: 'prototype', tag: 'connections'})(connect)
+    context.bind('config').toValue('db://localhost')
+    context.bind('db').toClass(connect).scope('singleton')
+    var factory = context.factories['db']
+    expect(factory.scope).toEqual('singleton')
+    expect(factory.tags).toEqual(['connections'])
+    context.getInstance('db').then(function(db) {
+      expect(db.config).toEqual('db://localhost')
+      done()
+    }, errorHandler(done))
+  })
+
+})
+
+describe('decorators', function() {
+
+  var errorHandler = R.curry(function(done, err) {
+    fail(err)
+    done()
+  })
+
+  it('declare providers which are found by scanning', function(done) {
+    var context = new Context([path.join(__dirname, 'fixtures', 'decorators')])
+    context.bootstrap(true).then(function() {
+      expect(R.keys(context.factories).sort()).toEqual(['decorated.config', 'decorated.connection', 'decorated.opened'])
+      expect(context.factories['decorated.connection'].scope).toEqual('prototype')
+      expect(context.factories['decorated.opened'].source.functionName).toEqual('Connection.open')
+      expect(context.instances['decorated.opened'].opened).toBe(true)
+      expect(context.instances['decorated.opened'].config.uri).toEqual('db://localhost')
+      done()
+    }, errorHandler(done))
+  })
+
+  it('reject unknown attributes', function() {
+    expect(() => decorators.Provides('db', {lifetime: 'long'})).toThrowError(TypeError, /Unknown attribute 'lifetime'/)
+  })
+
+})
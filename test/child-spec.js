@@ -0,0 +1,115 @@
+var Context = require('lib/context')
+var R = require('ramda')
+
+describe('child contexts', function() {
+
+  var context = undefined
+  var journal = undefined
+
+  var errorHandler = R.curry(function(done, err) {
+    fail(err)
+    done()
+  })
+
+  var Handler = function(db, request) {
+    this.db = db
+    this.request = request
+    this.close = function() { journal.push('handler.close:' + request.id) }
+  }
+
+  beforeEach(function(done) {
+    journal = []
+    context = new Context([])
+    context.register('db', function() { 
+      this.close = function() { journal.push('db.close') } 
+    }, false, 'singleton', false, [], {preDestroy: 'close'})
+    context.register('handler', Handler, false, 'request', false, ['db', 'request'], {preDestroy: 'close'})
+    done()
+  })
+
+  it('inherit the providers and singletons of their parent', function(done) {
+    var child = context.createChild()
+    child.register('request', {id: 1})
+    var instances = []
+    context.getInstance('db')
+      .then(function(db) {
+        instances.push(db)
+        return child.getInstance('db')
+      })
+      .then(function(db) {
+        instances.push(db)
+        return child.getInstance('handler')
+      })
+      .then(function(handler) {
+        instances.push(handler)
+        expect(instances[1]).toBe(instances[0])
+        expect(instances[2].db).toBe(instances[0])
+        expect(instances[2].request.id).toEqual(1)
+        expect(child.instances['db']).toBeUndefined()
+        done()
+      },
+      errorHandler(done))
+  })
+
+  it('cache request-scoped instances locally', function(done) {
+    var child1 = context.createChild()
+    var child2 = context.createChild()
+    child1.register('request', {id: 1})
+    child2.register('request', {id: 2})
+    var handlers = []
+    var collect = function(handler) { handlers.push(handler) }
+    child1.getInstance('handler').then(collect)
+      .then(function() {
+        return child1.getInstance('handler').then(collect)
+      })
+      .then(function() {
+        return child2.getInstance('handler').then(collect)
+      })
+      .then(function() {
+        expect(handlers[1]).toBe(handlers[0])
+        expect(handlers[2]).not.toBe(handlers[0])
+        expect(handlers[2].request.id).toEqual(2)
+        expect(handlers[2].db).toBe(handlers[0].db)
+        done()
+      },
+      errorHandler(done))
+  })
+
+  it('only dispose of their own instances on shutdown', function(done) {
+    var child = context.createChild()
+    child.register('request', {id: 1})
+    child.getInstance('handler')
+      .then(function() {
+        return child.shutdown()
+      })
+      .then(function(child) {
+        expect(journal).toEqual(['handler.close:1'])
+        expect(child.instances).toEqual({})
+        expect(context.instances['db']).toBeDefined()
+        return context.shutdown()
+      })
+      .then(function() {
+        expect(journal).toEqual(['handler.close:1', 'db.close'])
+        done()
+      },
+      errorHandler(done))
+  })
+
+  it('may override the providers of their parent', function(done) {
+    context.register('request', {id: 'default'})
+    var child = context.createChild()
+    child.register('request', {id: 'override'})
+    child.getInstance('handler')
+      .then(function(handler) {
+        expect(handler.request.id).toEqual('override')
+        done()
+      },
+      errorHandler(done))
+  })
+
+  afterEach(function(done) {
+    context = undefined
+    done()
+  })
+
+})
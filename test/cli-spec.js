@@ -0,0 +1,115 @@
+var cli = require('lib/cli')
+var R = require('ramda')
+var path = require('path')
+
+describe('the abdicate command', function() {
+
+  var fixtures = path.join(__dirname, 'files')
+  var out = undefined
+  var err = undefined
+
+  var stream = function() {
+    var written = []
+    return {
+      write: function(text) { written.push(text) },
+      text: function() { return written.join('') }
+    }
+  }
+
+  var errorHandler = R.curry(function(done, err) {
+    fail(err)
+    done()
+  })
+
+  beforeEach(function(done) {
+    out = stream()
+    err = stream()
+    done()
+  })
+
+  it('lists every provider with its scope, async mode, dependencies and source', function(done) {
+    cli.run(['list', fixtures], out, err)
+      .then(function(code) {
+        expect(code).toEqual(0)
+        var line = R.find((line) => line.indexOf('my.connection') === 0, out.text().split('\n'))
+        expect(line).toMatch(/^my\.connection +singleton +async=callback +requires \[db\.config\] +.*mydatabase\.js \(connect\)$/)
+        done()
+      },
+      errorHandler(done))
+  })
+
+  it('exports the graph of dependencies as json', function(done) {
+    cli.run(['graph', '--format=json', fixtures], out, err)
+      .then(function(code) {
+        expect(code).toEqual(0)
+        var graph = JSON.parse(out.text())
+        expect(R.pluck('name', graph.providers)).toContain('my.service')
+        expect(graph.missing).toContain('db.config')
+        expect(graph.edges).toContain({provider: 'my.model', requirer: 'my.service'})
+        done()
+      },
+      errorHandler(done))
+  })
+
+  it('writes warnings to the stream for errors, apart from the output', function(done) {
+    cli.run(['graph', '--format=json', path.join(__dirname, 'fixtures', 'unexported')], out, err)
+      .then(function(code) {
+        expect(code).toEqual(0)
+        expect(R.pluck('name', JSON.parse(out.text()).providers)).toEqual(['widget'])
+        expect(err.text()).toMatch(/^Could not resolve the target Thing for .*things\.js\n$/)
+        done()
+      },
+      errorHandler(done))
+  })
+
+  it('exports the graph of dependencies as dot or mermaid', function(done) {
+    cli.run(['graph', fixtures], out, err)
+      .then(function() {
+        expect(out.text()).toContain('"my.service" -> "my.model";')
+        expect(out.text()).toContain('"db.config" [style=dashed];')
+        out = stream()
+        return cli.run(['graph', '--format=mermaid', fixtures], out, err)
+      })
+      .then(function() {
+        expect(out.text().indexOf('graph LR')).toEqual(0)
+        expect(out.text()).toMatch(/n\d+\["my\.service"\]/)
+        done()
+      },
+      errorHandler(done))
+  })
+
+  it('explains which providers depend on a name', function(done) {
+    cli.run(['why', 'my.connection', fixtures], out, err)
+      .then(function(code) {
+        expect(code).toEqual(0)
+        expect(out.text()).toEqual(
+          'my.model  (my.model -> my.connection)\n' +
+          'my.service  (my.service -> my.model -> my.connection)\n')
+        done()
+      },
+      errorHandler(done))
+  })
+
+  it('filters the files that it scans', function(done) {
+    cli.run(['list', '--exclude=sub/**,mymodel.js', fixtures], out, err)
+      .then(function(code) {
+        expect(code).toEqual(0)
+        expect(out.text()).toContain('my.service')
+        expect(out.text()).not.toContain('sub/provider2.js')
+        expect(out.text()).not.toContain('my.model ')
+        done()
+      },
+      errorHandler(done))
+  })
+
+  it('prints its usage and fails for unknown commands', function(done) {
+    cli.run(['graph', '--format=svg'], out, err)
+      .then(function(code) {
+        expect(code).toEqual(1)
+        expect(err.text()).toContain('Usage: abdicate')
+        done()
+      },
+      errorHandler(done))
+  })
+
+})
@@ -0,0 +1,94 @@
+var Context = require('lib/context')
+var R = require('ramda')
+
+describe('concurrency', function() {
+
+  var context = undefined
+  var building = undefined
+  var mostBuilding = undefined
+
+  var errorHandler = R.curry(function(done, err) {
+    fail(err)
+    done()
+  })
+
+  var slowly = function(value) {
+    return function() {
+      building++
+      mostBuilding = Math.max(building, mostBuilding)
+      return new Promise(function(resolve) {
+        setTimeout(function() {
+          building--
+          resolve({value: value})
+        }, 20)
+      })
+    }
+  }
+
+  beforeEach(function(done) {
+    building = 0
+    mostBuilding = 0
+    context = new Context([])
+    context.register('redis', slowly('redis'), false, 'singleton', 'promise')
+    context.register('mongo', slowly('mongo'), false, 'singleton', 'promise')
+    context.register('s3', slowly('s3'), false, 'singleton', 'promise')
+    context.register('app', function(redis, mongo, s3) {}, false, 'singleton', false, ['redis', 'mongo', 's3'])
+    done()
+  })
+
+  it('builds one instance at a time when eagerly bootstrapping by default', function(done) {
+    context.bootstrap(true)
+      .then(function(context) {
+        expect(mostBuilding).toEqual(1)
+        expect(context.instances['app']).toBeDefined()
+        done()
+      },
+      errorHandler(done))
+  })
+
+  it('builds independent instances at the same time when eagerly bootstrapping concurrently', function(done) {
+    context.bootstrap({eager: true, concurrency: Infinity})
+      .then(function(context) {
+        expect(mostBuilding).toEqual(3)
+        expect(context.instances['app']).toBeDefined()
+        done()
+      },
+      errorHandler(done))
+  })
+
+  it('limits the number of instances built at the same time', function(done) {
+    context.bootstrap({eager: true, concurrency: 2})
+      .then(function() {
+        expect(mostBuilding).toEqual(2)
+        done()
+      },
+      errorHandler(done))
+  })
+
+  it('builds a singleton only once when it is requested concurrently', function(done) {
+    var spy = jasmine.createSpy('factory').and.callFake(slowly('shared'))
+    context.register('shared', spy, false, 'singleton', 'promise')
+    Promise.all([context.getInstance('shared'), context.getInstance('shared'), context.getInstances(['shared', 'shared'])])
+      .then(function(instances) {
+        expect(spy.calls.count()).toEqual(1)
+        expect(instances[1]).toBe(instances[0])
+        expect(instances[2]['shared'][1]).toBe(instances[0])
+        done()
+      },
+      errorHandler(done))
+  })
+
+  it('builds a request-scoped instance only once per child when it is requested concurrently', function(done) {
+    var spy = jasmine.createSpy('factory').and.callFake(slowly('request'))
+    context.register('handler', spy, false, 'request', 'promise')
+    var child = context.createChild()
+    Promise.all([child.getInstance('handler'), child.getInstance('handler')])
+      .then(function(handlers) {
+        expect(spy.calls.count()).toEqual(1)
+        expect(handlers[1]).toBe(handlers[0])
+        done()
+      },
+      errorHandler(done))
+  })
+
+})
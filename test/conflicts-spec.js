@@ -0,0 +1,80 @@
+var Context = require('lib/context')
+var errors = require('lib/errors')
+var R = require('ramda')
+var path = require('path')
+
+describe('conflicts between providers of the same name', function() {
+
+  var fixtures = path.join(__dirname, 'fixtures', 'conflicts')
+
+  var errorHandler = R.curry(function(done, err) {
+    fail(err)
+    done()
+  })
+
+  it('are errors by default, reporting both declarations', function(done) {
+    new Context([ path.join(fixtures, 'duplicates') ]).bootstrap(false, function(err) {
+      expect(err instanceof errors.DuplicateProviderError).toBe(true)
+      expect(err.providerName).toEqual('cache')
+      expect(err.declarations).toEqual([
+        'provided by MemoryCache in ' + path.join(fixtures, 'duplicates', 'first.js'),
+        'provided by RedisCache in ' + path.join(fixtures, 'duplicates', 'second.js')
+      ])
+      done()
+    })
+  })
+
+  it('are resolved in favour of primary providers', function(done) {
+    new Context([ path.join(fixtures, 'primary') ]).bootstrap(false)
+      .then(function(context) {
+        return context.getInstance('cache')
+      })
+      .then(function(cache) {
+        expect(cache.type).toEqual('redis')
+        done()
+      },
+      errorHandler(done))
+  })
+
+  it('are errors when an explicit registration replaces a scanned one by default', function(done) {
+    var context = new Context([ path.join(fixtures, 'primary') ])
+    context.register('test.double', {type: 'double'})
+    context.bootstrap(false, function(err) {
+      expect(err instanceof errors.DuplicateProviderError).toBe(true)
+      expect(err.declarations[0]).toEqual('registered via Context#register')
+      done()
+    })
+  })
+
+  it('are resolved in favour of explicit registrations under the override policy', function(done) {
+    var context = new Context([ path.join(fixtures, 'primary') ], {conflicts: 'override'})
+    context.register('test.double', {type: 'double'})
+    context.bootstrap(false)
+      .then(function(context) {
+        return context.getInstance('test.double')
+      })
+      .then(function(testDouble) {
+        expect(testDouble.type).toEqual('double')
+        context.register('cache', {type: 'double'})
+        return context.getInstance('cache')
+      })
+      .then(function(cache) {
+        expect(cache.type).toEqual('double') // even primary providers may be replaced
+        done()
+      },
+      errorHandler(done))
+  })
+
+  it('are not errors between explicit registrations', function(done) {
+    var context = new Context([])
+    context.register('value', 1)
+    context.register('value', 2)
+    context.getInstance('value')
+      .then(function(value) {
+        expect(value).toEqual(2)
+        done()
+      },
+      errorHandler(done))
+  })
+
+})
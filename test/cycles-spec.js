@@ -0,0 +1,71 @@
+var Context = require('lib/context')
+var errors = require('lib/errors')
+var path = require('path')
+
+describe('circular dependencies', function() {
+
+  var context = undefined
+  var fixtures = path.join(__dirname, 'fixtures', 'cycles')
+
+  beforeEach(function(done) {
+    context = new Context([ fixtures ], {logger: null})
+    done()
+  })
+
+  it('are reported when eagerly bootstrapping', function(done) {
+    context.bootstrap(true)
+      .then(function() {
+        fail('Expected a CircularDependencyError')
+        done()
+      }, function(err) {
+        expect(err instanceof errors.CircularDependencyError).toBe(true)
+        expect(err.path).toEqual(['cycle.a', 'cycle.b', 'cycle.c', 'cycle.a'])
+        expect(err.message).toContain('cycle.a -> cycle.b -> cycle.c -> cycle.a')
+        done()
+      })
+  })
+
+  it('are reported when lazily getting instances', function(done) {
+    context.bootstrap(false)
+      .then(function(context) {
+        return context.getInstance('cycle.b')
+      })
+      .then(function() {
+        fail('Expected a CircularDependencyError')
+        done()
+      }, function(err) {
+        expect(err instanceof errors.CircularDependencyError).toBe(true)
+        expect(err.path).toEqual(['cycle.b', 'cycle.c', 'cycle.a', 'cycle.b'])
+        done()
+      })
+  })
+
+  it('describe where each provider in the cycle was declared', function(done) {
+    context.bootstrap(true)
+      .then(function() {
+        fail('Expected a CircularDependencyError')
+        done()
+      }, function(err) {
+        expect(err.declarations['cycle.a']).toEqual('provided by A in ' + path.join(fixtures, 'a.js'))
+        expect(err.message).toContain('cycle.c is provided by C in ' + path.join(fixtures, 'c.js'))
+        done()
+      })
+  })
+
+  it('include providers registered explicitly', function(done) {
+    context = new Context([], {logger: null})
+    context.register('self.reliant', function(self) {}, false, 'singleton', false, ['self.reliant'])
+    context.getInstance('self.reliant', function(err) {
+      expect(err instanceof errors.CircularDependencyError).toBe(true)
+      expect(err.path).toEqual(['self.reliant', 'self.reliant'])
+      expect(err.declarations['self.reliant']).toEqual('registered via Context#register')
+      done()
+    })
+  })
+
+  afterEach(function(done) {
+    context = undefined
+    done()
+  })
+
+})
@@ -8,6 +8,8 @@ describe('abdicate', function() {
   var modelStringValue = 'modelStringValue'
   var nonModuleStringValue = 'nonModuleStringValue'
   var dbUri = 'mongodb://foo'
+  var multipleStringValue1 = 'multipleStringValue1'
+  var multipleStringValue2 = 'multipleStringValue2'
       
   var errorHandler = R.curry(function(done, err) {
     this.fail(err)
@@ -15,10 +17,12 @@ describe('abdicate', function() {
   })
   
   beforeEach(function(done) {
-    context = new Context([ path.join(__dirname, 'files') ])
+    context = new Context([ path.join(__dirname, 'files') ], {logger: null})
     context.register('model.string', modelStringValue)
     context.register('non.module.string', nonModuleStringValue)
     context.register('db.config', {uri: dbUri})
+    context.register('multiple1.string', multipleStringValue1)
+    context.register('multiple2.string', multipleStringValue2)
     done()
   })
    
@@ -60,10 +64,6 @@ describe('abdicate', function() {
   })
   
   it('handles multiple objects defined in a single module', function(done) {
-    var multipleStringValue1 = 'multipleStringValue1'
-    var multipleStringValue2 = 'multipleStringValue2'
-    context.register('multiple1.string', multipleStringValue1)
-    context.register('multiple2.string', multipleStringValue2)
     context.bootstrap(true)
       .then(function(context) {
         expect(context.instances['multiple1'].string).toEqual(multipleStringValue1)
@@ -107,15 +107,28 @@ describe('abdicate', function() {
       errorHandler(done))
   })
   
-  it('creates instances with undefined dependencies using null', function(done) {
+  it('creates instances with missing optional dependencies using undefined', function(done) {
     context.bootstrap(true)
       .then(function(context) {
-        expect(context.instances['my.service'].string).toBeNull()
+        expect(context.instances['my.service'].string).toBeUndefined()
         done()
       }, 
       errorHandler(done))
   })
   
+  it('rejects missing dependencies, naming the provider that requires them', function(done) {
+    context = new Context([ path.join(__dirname, 'files') ], {logger: null})
+    context.bootstrap(true)
+      .then(function() {
+        fail('Expected a MissingProviderError')
+        done()
+      }, function(err) {
+        expect(err.name).toEqual('MissingProviderError')
+        expect(err.message).toMatch(/^No provider is registered for '[\w.]+' which is required by [\w.]+/)
+        done()
+      })
+  })
+  
   it('resolves transitive dependencies between instances', function(done) {
     context.bootstrap(true)
       .then(function(context) {
@@ -0,0 +1,113 @@
+var Context = require('lib/context')
+var EventEmitter = require('events')
+var R = require('ramda')
+
+describe('diagnostics', function() {
+
+  var events = undefined
+  var received = undefined
+
+  var record = function(event) {
+    events.on(event, (data) => received.push({event: event, data: data}))
+  }
+
+  var delayed = function(ms, value) {
+    return function() {
+      return new Promise((resolve) => setTimeout(() => resolve(value), ms))
+    }
+  }
+
+  beforeEach(function() {
+    events = new EventEmitter()
+    received = []
+    R.forEach(record, ['register', 'build:start', 'build:end', 'build:error', 'missing'])
+  })
+
+  it('emit structured events for registering and building providers', function(done) {
+    var context = new Context([], {events: events, logger: null})
+    context.register('broker', delayed(20, {}), false, 'singleton', 'promise', [])
+    context.register('app', function(broker) {}, false, 'singleton', false, ['broker'])
+    context.getInstance('app').then(function() {
+      expect(R.map(R.prop('event'), received)).toEqual(
+        ['register', 'register', 'build:start', 'build:end', 'build:start', 'build:end'])
+      expect(received[2].data).toEqual({name: 'broker', chain: ['app', 'broker']})
+      expect(received[3].data.duration).toBeGreaterThan(10)
+      done()
+    }).then(null, (err) => { fail(err); done() })
+  })
+
+  it('emit an event for a missing provider, naming the provider that required it', function(done) {
+    var context = new Context([], {events: events, logger: null})
+    context.register('app', function(broker) {}, false, 'singleton', false, ['broker'])
+    context.getInstance('app').then(function() {
+      fail('Expected a MissingProviderError')
+      done()
+    }, function(err) {
+      var missing = R.find(R.propEq('missing', 'event'), received)
+      expect(missing.data).toEqual({name: 'broker', chain: ['app']})
+      expect(err.requiredBy).toEqual('app')
+      done()
+    })
+  })
+
+  it('emit an event for a provider that fails to build', function(done) {
+    var context = new Context([], {events: events, logger: null})
+    context.register('broker', function() { throw new Error('No broker') }, false, 'singleton', false, [])
+    context.getInstance('broker').then(function() {
+      fail('Expected an error')
+      done()
+    }, function(err) {
+      var failure = R.find(R.propEq('build:error', 'event'), received)
+      expect(failure.data.name).toEqual('broker')
+      expect(failure.data.error).toBe(err)
+      done()
+    })
+  })
+
+  it('log messages along with the data of the events', function(done) {
+    var logged = []
+    var log = R.curry((level, message, data) => logged.push({level: level, message: message, data: data}))
+    var logger = {debug: log('debug'), info: log('info'), warn: log('warn'), error: log('error')}
+    var context = new Context([], {logger: logger})
+    context.getInstance('nothing').then(null, function() {
+      expect(R.last(logged)).toEqual({level: 'warn', message: 'No InstanceFactory for nothing', data: {name: 'nothing', chain: []}})
+      done()
+    })
+  })
+
+  it('log warnings and errors to stderr by default', function(done) {
+    spyOn(console, 'log')
+    spyOn(console, 'error')
+    var context = new Context([])
+    context.getInstance('nothing').then(null, function() {
+      expect(console.error).toHaveBeenCalledWith('No InstanceFactory for nothing')
+      expect(console.log).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it('log nothing to the console when the logger is null', function(done) {
+    spyOn(console, 'log')
+    spyOn(console, 'error')
+    var context = new Context([], {logger: null})
+    context.getInstance('nothing').then(null, function() {
+      expect(console.log).not.toHaveBeenCalled()
+      expect(console.error).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it('report the time taken to build each provider, slowest first', function(done) {
+    var context = new Context([], {logger: null})
+    context.register('fast', delayed(1, {}), false, 'singleton', 'promise', [])
+    context.register('slow', delayed(40, {}), false, 'singleton', 'promise', [])
+    context.bootstrap(true, function(err) {
+      if (err) fail(err)
+      var report = context.report()
+      expect(R.map(R.prop('name'), report)).toEqual(['slow', 'fast'])
+      expect(report[0].duration).toBeGreaterThan(30)
+      done()
+    })
+  })
+
+})
@@ -1,5 +1,5 @@
 /**
- * @Requires ['my.model', 'my.service.string']
+ * @Requires ['my.model', 'my.service.string?']
  * @Provides name='my.service'
  */
 var MyService = function(mymodel, somestring) {
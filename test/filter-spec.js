@@ -0,0 +1,58 @@
+var Context = require('lib/context')
+var R = require('ramda')
+var fs = require('fs')
+var os = require('os')
+var path = require('path')
+
+describe('scanning filters', function() {
+
+  var fixtures = path.join(__dirname, 'fixtures', 'filter')
+
+  var errorHandler = R.curry(function(done, err) {
+    fail(err)
+    done()
+  })
+
+  var namesFound = function(rootpath, options) {
+    return new Context([rootpath], options).bootstrap(false).then((context) => R.keys(context.factories).sort())
+  }
+
+  it('scan only .js files by default, leaving out anything marked with @Ignore', function(done) {
+    namesFound(fixtures).then(function(names) {
+      expect(names).toEqual(['filter.kept', 'filter.service', 'filter.stub'])
+      done()
+    }, errorHandler(done))
+  })
+
+  it('scan files with other extensions', function(done) {
+    namesFound(fixtures, {extensions: ['.js', '.mjs', '.cjs']}).then(function(names) {
+      expect(names).toEqual(['filter.kept', 'filter.legacy', 'filter.service', 'filter.stub'])
+      done()
+    }, errorHandler(done))
+  })
+
+  it('scan only the files which match an include pattern and no exclude pattern', function(done) {
+    namesFound(fixtures, {exclude: ['helpers/**']}).then(function(names) {
+      expect(names).toEqual(['filter.kept', 'filter.service'])
+      return namesFound(fixtures, {include: ['helpers/*.js', 'service.js']})
+    }).then(function(names) {
+      expect(names).toEqual(['filter.service', 'filter.stub'])
+      done()
+    }, errorHandler(done))
+  })
+
+  it('do not read node_modules directories by default', function(done) {
+    var directory = fs.mkdtempSync(path.join(os.tmpdir(), 'abdicate-'))
+    var read = []
+    fs.mkdirSync(path.join(directory, 'node_modules', 'dependency'), {recursive: true})
+    fs.writeFileSync(path.join(directory, 'node_modules', 'dependency', 'index.js'), 'exports.Dependency = function() {}\n')
+    fs.writeFileSync(path.join(directory, 'app.js'), 'exports.App = function() {}\n')
+    var events = {emit: (event, data) => event === 'scan:file' && read.push(path.relative(directory, data.path))}
+    new Context([directory], {events: events, logger: null}).bootstrap(false).then(function() {
+      expect(read).toEqual(['app.js'])
+      fs.rmSync(directory, {recursive: true})
+      done()
+    }, errorHandler(done))
+  })
+
+})
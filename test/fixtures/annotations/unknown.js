@@ -0,0 +1,5 @@
+/**
+ * @Provides 'annotations.unknown' scpe='prototype'
+ */
+exports.Unknown = function() {
+}
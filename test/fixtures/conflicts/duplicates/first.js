@@ -0,0 +1,6 @@
+/**
+ * @Provides 'cache'
+ */
+exports.MemoryCache = function() {
+  this.type = 'memory'
+}
@@ -0,0 +1,6 @@
+/**
+ * @Provides 'cache'
+ */
+exports.RedisCache = function() {
+  this.type = 'redis'
+}
@@ -0,0 +1,6 @@
+/**
+ * @Provides 'cache' primary=true
+ */
+exports.RedisCache = function() {
+  this.type = 'redis'
+}
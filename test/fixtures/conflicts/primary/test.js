@@ -0,0 +1,6 @@
+/**
+ * @Provides 'test.double'
+ */
+exports.Scanned = function() {
+  this.type = 'scanned'
+}
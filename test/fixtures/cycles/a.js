@@ -0,0 +1,7 @@
+/**
+ * @Requires 'cycle.b'
+ * @Provides 'cycle.a'
+ */
+exports.A = function(b) {
+  this.b = b
+}
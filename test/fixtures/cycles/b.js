@@ -0,0 +1,7 @@
+/**
+ * @Requires 'cycle.c'
+ * @Provides 'cycle.b'
+ */
+exports.B = function(c) {
+  this.c = c
+}
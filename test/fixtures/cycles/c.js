@@ -0,0 +1,7 @@
+/**
+ * @Requires 'cycle.a'
+ * @Provides 'cycle.c'
+ */
+exports.C = function(a) {
+  this.a = a
+}
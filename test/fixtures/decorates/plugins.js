@@ -0,0 +1,29 @@
+/**
+ * @Decorates 'mailer'
+ * @Requires 'audit'
+ */
+exports.audited = function(mailer, audit) {
+  return {
+    send: (message) => {
+      audit.push(message)
+      return mailer.send(message)
+    }
+  }
+}
+
+/**
+ * @Provides order=-1
+ * @Decorates 'mailer'
+ */
+exports.signed = function(mailer) {
+  return {
+    send: (message) => mailer.send(message + ' --sig')
+  }
+}
+
+/**
+ * @Provides 'audit'
+ */
+exports.audit = function() {
+  return []
+}
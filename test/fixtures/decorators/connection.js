@@ -0,0 +1,38 @@
+var decorators = require('../../../decorators')
+
+/* As compiled from:
+ *
+ *   @Provides('decorated.connection', {scope: 'prototype'})
+ *   @Requires('decorated.config')
+ *   class Connection { 
+ *     ...
+ *     @Provides('decorated.opened')
+ *     @Requires('decorated.config')
+ *     static open(config) { ... }
+ *   }
+ */
+class Connection {
+  constructor(config) {
+    this.config = config
+  }
+
+  static open(config) {
+    var connection = new Connection(config)
+    connection.opened = true
+    return connection
+  }
+}
+
+decorators.Requires('decorated.config')(Connection, {kind: 'class', name: 'Connection'})
+decorators.Provides('decorated.connection', {scope: 'prototype'})(Connection, {kind: 'class', name: 'Connection'})
+decorators.Requires('decorated.config')(Connection, 'open', Object.getOwnPropertyDescriptor(Connection, 'open'))
+decorators.Provides('decorated.opened')(Connection, 'open', Object.getOwnPropertyDescriptor(Connection, 'open'))
+
+exports.Connection = Connection
+
+/**
+ * @Provides 'decorated.config'
+ */
+exports.config = function() {
+  return {uri: 'db://localhost'}
+}
@@ -0,0 +1,5 @@
+/**
+ * @Provides 'filter.stub'
+ */
+exports.Stub = function() {
+}
@@ -0,0 +1,11 @@
+/**
+ * Helpers for tests, which should never be registered
+ * 
+ * @Ignore
+ */
+
+/**
+ * @Provides 'filter.ignored'
+ */
+exports.Ignored = function() {
+}
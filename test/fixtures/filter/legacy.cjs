@@ -0,0 +1,5 @@
+/**
+ * @Provides 'filter.legacy'
+ */
+exports.Legacy = function() {
+}
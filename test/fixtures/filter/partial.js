@@ -0,0 +1,12 @@
+/**
+ * @Provides 'filter.kept'
+ */
+exports.Kept = function() {
+}
+
+/**
+ * @Ignore
+ * @Provides 'filter.skipped'
+ */
+exports.Skipped = function() {
+}
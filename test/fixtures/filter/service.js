@@ -0,0 +1,5 @@
+/**
+ * @Provides 'filter.service'
+ */
+exports.Service = function() {
+}
@@ -0,0 +1,32 @@
+/**
+ * @Provides 'db'
+ * @HealthCheck 'ping'
+ */
+exports.db = function() {
+  this.up = true
+  this.ping = () => Promise.resolve(this.up ? {latency: 1} : false)
+}
+
+/**
+ * @Provides 'queue'
+ * @HealthCheck 'ping'
+ */
+exports.queue = function() {
+  this.ping = () => new Promise(() => {}) // never answers
+}
+
+/**
+ * @Provides 'search' async='promise'
+ * @HealthCheck 'ping'
+ */
+exports.search = function() {
+  return Promise.reject(new Error('Connection refused'))
+}
+
+/**
+ * @Provides 'mailer'
+ * @HealthCheck 'ping'
+ */
+exports.mailer = function() {
+  this.ping = () => true
+}
@@ -0,0 +1,38 @@
+/**
+ * @Provides 'users' tag='repositories'
+ */
+exports.users = function() {
+  this.names = ['ada', 'grace']
+  this.find = function(index) {
+    return this.names[index]
+  }
+  this.findAsync = function(index) {
+    return Promise.resolve(this.names[index])
+  }
+}
+
+/**
+ * @Provides 'timings'
+ * @Requires 'clock'
+ * @Intercept tag='repositories'
+ */
+exports.timings = function(clock) {
+  var timed = []
+  var interceptor = function(invocation) {
+    var started = clock()
+    return Promise.resolve(invocation.proceed()).then((result) => {
+      timed.push({method: invocation.provider + '.' + invocation.method, duration: clock() - started})
+      return result
+    })
+  }
+  interceptor.timed = timed
+  return interceptor
+}
+
+/**
+ * @Provides 'clock'
+ */
+exports.clock = function() {
+  var ticks = 0
+  return () => ticks++
+}
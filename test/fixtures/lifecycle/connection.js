@@ -0,0 +1,23 @@
+var journal = require('./journal')
+
+/**
+ * @Provides 'lifecycle.connection'
+ * @PostConstruct 'open'
+ * @PreDestroy 'close'
+ */
+var Connection = function() {
+  this.isOpen = false
+}
+
+Connection.prototype.open = function() {
+  journal.push('connection.open')
+  this.isOpen = true
+}
+
+Connection.prototype.close = function() {
+  journal.push('connection.close')
+  this.isOpen = false
+  return Promise.resolve()
+}
+
+module.exports = Connection
@@ -0,0 +1,2 @@
+// A record of lifecycle events, shared between the fixtures and the specs
+module.exports = []
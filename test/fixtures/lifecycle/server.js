@@ -0,0 +1,13 @@
+var journal = require('./journal')
+
+/**
+ * @Requires 'lifecycle.connection'
+ * @Provides 'lifecycle.server'
+ * @PreDestroy 'stop'
+ */
+exports.Server = function(connection) {
+  this.connection = connection
+  this.stop = function() {
+    journal.push('server.stop')
+  }
+}
@@ -0,0 +1,25 @@
+/**
+ * @Provides 'modules.cache'
+ */
+exports.Cache = class Cache {
+  constructor() {
+    this.entries = {}
+  }
+}
+
+class Registry {
+  constructor(cache, entries) {
+    this.cache = cache
+    this.entries = entries
+  }
+
+  /**
+   * @Provides 'modules.registry'
+   * @Requires 'modules.cache'
+   */
+  static create(cache) {
+    return new this(cache, ['default'])
+  }
+}
+
+exports.Registry = Registry
@@ -0,0 +1,9 @@
+/**
+ * @Provides 'modules.repository'
+ * @Requires 'modules.client'
+ */
+export default class Repository {
+  constructor(client) {
+    this.client = client
+  }
+}
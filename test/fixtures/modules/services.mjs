@@ -0,0 +1,26 @@
+/**
+ * @Provides 'modules.config'
+ */
+export function config() {
+  return {url: 'http://localhost'}
+}
+
+/**
+ * @Provides 'modules.client'
+ * @Requires 'modules.config'
+ */
+export class Client {
+  constructor(config) {
+    this.config = config
+  }
+
+  /**
+   * @Provides 'modules.connected' async='promise'
+   * @Requires 'modules.config'
+   */
+  static async connect(config) {
+    var client = new this(config)
+    client.connected = true
+    return client
+  }
+}
@@ -0,0 +1,6 @@
+/**
+ * @Provides 'http.route' tag='routes'
+ */
+exports.About = function() {
+  this.path = '/about'
+}
@@ -0,0 +1,7 @@
+/**
+ * @Requires all('routes')
+ * @Provides 'router'
+ */
+exports.Router = function(routes) {
+  this.routes = routes
+}
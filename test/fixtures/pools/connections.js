@@ -0,0 +1,24 @@
+var opened = 0
+
+/**
+ * @Provides 'db.connection' scope='pool' min=1 max=2 idleTimeout=50 async='promise'
+ * @Requires 'db.config'
+ * @PreDestroy 'close'
+ */
+exports.connect = function(config) {
+  var connection = {id: ++opened, uri: config.uri, open: true}
+  connection.close = () => {
+    connection.open = false
+  }
+  return Promise.resolve(connection)
+}
+
+/**
+ * @Provides 'repository'
+ * @Requires 'db.connection'
+ */
+exports.repository = function(pool) {
+  return {
+    find: (id) => pool.use((connection) => ({id: id, connection: connection.id}))
+  }
+}
@@ -0,0 +1,16 @@
+/**
+ * @Provides 'cache'
+ * @ConditionalOn name='redis.client' missing=true
+ */
+exports.memory = function() {
+  return {kind: 'memory'}
+}
+
+/**
+ * @Provides 'cache'
+ * @Requires 'redis.client'
+ * @ConditionalOn name='redis.client'
+ */
+exports.redis = function(client) {
+  return {kind: 'redis', client: client}
+}
@@ -0,0 +1,16 @@
+/**
+ * @Provides 'redis.client'
+ * @Requires '${redis.url}'
+ * @ConditionalOn property='redis.url'
+ */
+exports.redis = function(url) {
+  return {url: url}
+}
+
+/**
+ * @Provides 'flagged'
+ * @ConditionalOn env='ABDICATE_SPEC_FLAG' value='on'
+ */
+exports.flagged = function() {
+  return true
+}
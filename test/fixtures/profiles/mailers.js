@@ -0,0 +1,22 @@
+/**
+ * @Provides 'mailer' profile='prod'
+ */
+exports.smtp = function() {
+  return {kind: 'smtp'}
+}
+
+/**
+ * @Provides 'mailer'
+ * @Profile ['dev', 'test']
+ */
+exports.stub = function() {
+  return {kind: 'stub'}
+}
+
+/**
+ * @Provides 'mail.preview'
+ * @Profile '!prod'
+ */
+exports.preview = function() {
+  return {kind: 'preview'}
+}
@@ -0,0 +1,17 @@
+/**
+ * @Requires ['${server.host}', '${port:8080}', '${db.poolSize}']
+ * @Provides 'server'
+ */
+exports.Server = function(host, port, poolSize) {
+  this.host = host
+  this.port = port
+  this.poolSize = poolSize
+}
+
+/**
+ * @Requires '${db.password}'
+ * @Provides 'secured'
+ */
+exports.Secured = function(password) {
+  this.password = password
+}
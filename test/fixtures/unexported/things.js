@@ -0,0 +1,12 @@
+/**
+ * @Provides 'thing'
+ */
+class Thing {
+}
+
+/**
+ * @Provides 'widget'
+ */
+function Widget() {
+  this.thing = typeof Thing
+}
@@ -0,0 +1,16 @@
+/**
+ * @Requires ['valid.config']
+ * @Provides 'valid.arity'
+ */
+exports.Arity = function(config, extra) {
+  this.config = config
+  this.extra = extra
+}
+
+/**
+ * @Requires 'valid.config'
+ * @Provides 'valid.callback' async='callback'
+ */
+exports.Callback = function(config, callback) {
+  callback(null, config)
+}
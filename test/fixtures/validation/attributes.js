@@ -0,0 +1,6 @@
+/**
+ * @Provides 'valid.attributes' scpe='prototype'
+ */
+exports.Attributes = function() {
+  this.constructed = true
+}
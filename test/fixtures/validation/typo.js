@@ -0,0 +1,7 @@
+/**
+ * @Requires 'valid.confg'
+ * @Provides 'valid.service'
+ */
+exports.Service = function(config) {
+  this.config = config
+}
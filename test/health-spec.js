@@ -0,0 +1,151 @@
+var Context = require('lib/context')
+var errors = require('lib/errors')
+var R = require('ramda')
+var path = require('path')
+
+describe('status and health checks', function() {
+
+  var context = undefined
+
+  var errorHandler = R.curry(function(done, err) {
+    fail(err)
+    done()
+  })
+
+  var stateOf = function(name) {
+    return R.find(R.propEq(name, 'name'), context.status().providers)
+  }
+
+  var byName = function(checks) {
+    return R.zipObj(R.pluck('name', checks), checks)
+  }
+
+  beforeEach(function(done) {
+    context = new Context([path.join(__dirname, 'fixtures', 'health')], {logger: null})
+    context.bootstrap(false).then(() => done(), errorHandler(done))
+  })
+
+  it('report the state of each provider', function(done) {
+    var resolveSlow = undefined
+    var slowness = new Promise((resolve) => resolveSlow = resolve)
+    context.register('config', {debug: true})
+    context.register('slow', () => slowness, false, 'singleton', 'promise', [])
+    expect(stateOf('db')).toEqual({name: 'db', scope: 'singleton', state: 'registered'})
+    expect(stateOf('config').state).toEqual('ready')
+    var slow = context.getInstance('slow')
+    expect(stateOf('slow').state).toEqual('building')
+    resolveSlow('done')
+    slow.then(function() {
+      expect(stateOf('slow').state).toEqual('ready')
+      return context.getInstance('search')
+    }).then(function() {
+      fail('Expected an error')
+      done()
+    }, function(err) {
+      var failed = stateOf('search')
+      expect(failed.state).toEqual('failed')
+      expect(failed.error).toBe(err)
+      expect(R.pluck('name', context.status().providers)).toEqual(['db', 'queue', 'search', 'mailer', 'config', 'slow'])
+      done()
+    })
+  })
+
+  it('report whether the Context is ready, i.e. bootstrapped with nothing building or failed', function(done) {
+    var unbooted = new Context([], {logger: null})
+    expect(unbooted.status()).toEqual({ready: false, bootstrapped: false, providers: []})
+    expect(context.status().ready).toBe(true)
+    expect(context.createChild().status().bootstrapped).toBe(true)
+    var building = context.getInstance('db')
+    expect(context.status().ready).toBe(false)
+    building.then(function() {
+      expect(context.status().ready).toBe(true)
+      return context.getInstance('search')
+    }).then(null, function() {
+      expect(context.status()).toEqual(jasmine.objectContaining({ready: false, bootstrapped: true}))
+      done()
+    })
+  })
+
+  it('report the singletons of a parent as they are in the parent', function(done) {
+    var child = context.createChild()
+    child.register('request', {url: '/'})
+    context.getInstance('db').then(function() {
+      expect(R.find(R.propEq('db', 'name'), child.status().providers).state).toEqual('ready')
+      expect(R.find(R.propEq('request', 'name'), child.status().providers).state).toEqual('ready')
+      expect(R.find(R.propEq('request', 'name'), context.status().providers)).toBeUndefined()
+      done()
+    }, errorHandler(done))
+  })
+
+  it('forget a failure once an instance is built', function(done) {
+    var attempts = 0
+    context.register('flaky', () => {
+      if (++attempts === 1) throw new Error('Not yet')
+      return {}
+    }, false, 'prototype', false, [])
+    context.getInstance('flaky').then(null, function() {
+      expect(stateOf('flaky').state).toEqual('failed')
+      return context.getInstance('flaky')
+    }).then(function() {
+      expect(stateOf('flaky').state).toEqual('registered')
+      done()
+    }, errorHandler(done))
+  })
+
+  it('check the health of the instances which have been built', function(done) {
+    context.getInstances(['db', 'mailer']).then(function() {
+      return context.checkHealth()
+    }).then(function(health) {
+      expect(health.healthy).toBe(true)
+      expect(R.map(R.omit(['duration']), health.checks)).toEqual([
+        {name: 'db', healthy: true, result: {latency: 1}},
+        {name: 'mailer', healthy: true}
+      ])
+      context.instances['db'].up = false
+      return context.checkHealth()
+    }).then(function(health) {
+      expect(health.healthy).toBe(false)
+      expect(health.checks[0].healthy).toBe(false)
+      expect(health.checks[0].error.message).toEqual('The health check of db failed')
+      done()
+    }, errorHandler(done))
+  })
+
+  it('report failed builds and checks which time out as unhealthy', function(done) {
+    var failures = []
+    context.diagnostics.events = {emit: (event, data) => event === 'health:fail' && failures.push(data.name)}
+    context.getInstance('search').then(null, function() {
+      return context.getInstance('queue')
+    }).then(function() {
+      return context.checkHealth({timeout: 20})
+    }).then(function(health) {
+      expect(health.healthy).toBe(false)
+      var checks = byName(health.checks)
+      expect(R.keys(checks)).toEqual(['queue', 'search'])
+      expect(checks['queue'].error instanceof errors.TimeoutError).toBe(true)
+      expect(checks['search'].error.message).toEqual('Connection refused')
+      expect(failures).toEqual(['search', 'queue'])
+      done()
+    }, errorHandler(done))
+  })
+
+  it('check a borrowed instance of a pool, and methods declared by binding', function(done) {
+    var Worker = function() {
+      this.check = () => {
+        throw new Error('Worker is stuck')
+      }
+    }
+    context.bind('worker').toClass(Worker).pool({max: 1}).healthCheck('check')
+    context.bind('broken').toValue({}).healthCheck('check')
+    context.getInstances(['worker', 'broken']).then(function() {
+      return context.checkHealth(null, function(err, health) {
+        expect(err).toBeNull()
+        var checks = byName(health.checks)
+        expect(checks['worker'].error.message).toEqual('Worker is stuck')
+        expect(context.instances['worker'].stats().borrowed).toEqual(0)
+        expect(checks['broken'].error.message).toEqual('No healthCheck method \'check\' on the instance of broken')
+        done()
+      })
+    }, errorHandler(done))
+  })
+})
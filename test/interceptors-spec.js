@@ -0,0 +1,115 @@
+var Context = require('lib/context')
+var Intercept = require('lib/intercept')
+var R = require('ramda')
+var path = require('path')
+
+describe('interceptors', function() {
+
+  var context = undefined
+
+  var errorHandler = R.curry(function(done, err) {
+    fail(err)
+    done()
+  })
+
+  var recorder = function(log, label) {
+    return function(invocation) {
+      log.push(label + ':' + invocation.method + '(' + invocation.args.join(',') + ')')
+      return invocation.proceed()
+    }
+  }
+
+  beforeEach(function(done) {
+    context = new Context([path.join(__dirname, 'fixtures', 'interceptors')])
+    done()
+  })
+
+  it('wrap the methods of instances whose names match, in order', function(done) {
+    var log = []
+    context.register('greeter', function() { 
+      this.greeting = 'Hello'
+      this.greet = function(name) { return this.greeting + ' ' + name }
+    })
+    context.register('other', function() { this.greet = (name) => name })
+    context.intercept({name: 'greet*', order: 2}, recorder(log, 'inner'))
+    context.intercept(/^greeter$/, recorder(log, 'outer'))
+    context.getInstances(['greeter', 'other']).then(function(instances) {
+      expect(instances.greeter.greet('world')).toEqual('Hello world')
+      expect(instances.greeter.greeting).toEqual('Hello')
+      expect(instances.other.greet('world')).toEqual('world')
+      expect(log).toEqual(['outer:greet(world)', 'inner:greet(world)'])
+      done()
+    }, errorHandler(done))
+  })
+
+  it('may change the arguments and the result, including async results', function(done) {
+    context.register('doubler', function() { 
+      this.double = (n) => Promise.resolve(n * 2) 
+    })
+    context.intercept('doubler', (invocation) => invocation.proceed([invocation.args[0] + 1]).then((result) => result + 1))
+    context.getInstance('doubler').then(function(doubler) {
+      return doubler.double(1)
+    }).then(function(result) {
+      expect(result).toEqual(5)
+      done()
+    }, errorHandler(done))
+  })
+
+  it('are declared by providers annotated with @Intercept, which select instances by tag', function(done) {
+    context.bootstrap(true).then(function() {
+      var users = context.instances['users']
+      var timings = context.instances['timings']
+      var found = users.find(1)
+      expect(found).toEqual(jasmine.any(Promise))
+      return Promise.all([found, users.findAsync(0)]).then(function(found) {
+        expect(found).toEqual(['grace', 'ada'])
+        expect(R.pluck('method', timings.timed).sort()).toEqual(['users.find', 'users.findAsync'])
+        expect(context.instances['clock']()).toEqual(jasmine.any(Number))
+        done()
+      })
+    }).then(null, errorHandler(done))
+  })
+
+  it('apply to functions which are provided, and to the instances of child Contexts', function(done) {
+    var log = []
+    context.register('handler', function() { return (request) => 'handled ' + request }, false, 'request')
+    context.intercept('handler', recorder(log, 'call'))
+    context.createChild().getInstance('handler').then(function(handler) {
+      expect(handler('/')).toEqual('handled /')
+      expect(log).toEqual(['call:null(/)'])
+      done()
+    }, errorHandler(done))
+  })
+
+  it('apply to values which are registered explicitly', function(done) {
+    var log = []
+    context.register('client', {get: () => 'raw'})
+    context.intercept('*', (invocation) => {
+      log.push(invocation.provider + '.' + invocation.method)
+      return 'intercepted ' + invocation.proceed()
+    })
+    context.getInstance('client').then(function(client) {
+      expect(client.get()).toEqual('intercepted raw')
+      expect(log).toEqual(['client.get'])
+      done()
+    }, errorHandler(done))
+  })
+
+  it('apply once to the instance of a name which is aliased', function(done) {
+    var log = []
+    context.register('client', {get: () => 'raw'})
+    context.bind('http').toAlias('client')
+    context.intercept('*', recorder(log, 'all'))
+    context.getInstance('http').then(function(http) {
+      expect(http.get()).toEqual('raw')
+      expect(log).toEqual(['all:get()'])
+      done()
+    }, errorHandler(done))
+  })
+
+  it('parse @Intercept annotations', function() {
+    expect(new Intercept('\'db.*\' order=1').intercept).toEqual({name: 'db.*', order: 1})
+    expect(new Intercept('tag=\'repositories\'').intercept).toEqual({tag: 'repositories'})
+  })
+
+})
@@ -0,0 +1,101 @@
+var Context = require('lib/context')
+var Requires = require('lib/requires')
+var dependencies = require('lib/dependencies')
+var R = require('ramda')
+
+describe('lazy, provider and optional dependencies', function() {
+
+  var context = undefined
+  var built = undefined
+
+  var errorHandler = R.curry(function(done, err) {
+    fail(err)
+    done()
+  })
+
+  beforeEach(function(done) {
+    context = new Context([])
+    built = []
+    context.register('mailer', function() { 
+      built.push('mailer')
+      this.id = built.length
+    })
+    done()
+  })
+
+  it('may be declared in @Requires annotations', function() {
+    var requires = new Requires('[\'config\', lazy(\'mailer\'), provider(\'request\')]')
+    expect(requires.dependencies).toEqual(['config', dependencies.lazy('mailer'), dependencies.provider('request')])
+    expect(R.map(dependencies.describe, requires.dependencies)).toEqual(['config', 'lazy(\'mailer\')', 'provider(\'request\')'])
+  })
+
+  it('build a lazy dependency only when it is first used, and then just once', function(done) {
+    context.register('service', function(mailer) { this.mailer = mailer }, false, 'singleton', false, 
+      [dependencies.lazy('mailer')])
+    context.getInstance('service').then(function(service) {
+      expect(built).toEqual([])
+      return Promise.all([service.mailer(), service.mailer()])
+    }).then(function(mailers) {
+      expect(built).toEqual(['mailer'])
+      expect(mailers[0]).toBe(mailers[1])
+      done()
+    }, errorHandler(done))
+  })
+
+  it('get an instance from a provider each time that it is invoked', function(done) {
+    context.register('prototype', function() { this.id = Math.random() }, false, 'prototype')
+    context.register('service', function(create) { this.create = create }, false, 'singleton', false, 
+      [dependencies.provider('prototype')])
+    context.getInstance('service').then(function(service) {
+      return Promise.all([service.create(), service.create()]).then(function(instances) {
+        expect(instances[0]).not.toBe(instances[1])
+        service.create(function(err, instance) {
+          expect(instance.id).toEqual(jasmine.any(Number))
+          done()
+        })
+      })
+    }).then(null, errorHandler(done))
+  })
+
+  it('break cycles between providers which are initialized in either order', function(done) {
+    context.register('parent', function(children) { this.children = children }, false, 'singleton', false, 
+      [dependencies.lazy('child')])
+    context.register('child', function(parent) { this.parent = parent }, false, 'singleton', false, ['parent'])
+    context.validate().then(function() {
+      return context.getInstance('child')
+    }).then(function(child) {
+      return child.parent.children()
+    }).then(function(child) {
+      expect(child.parent.children).toEqual(jasmine.any(Function))
+      expect(context.graph()).toEqual([['parent', 'child']])
+      done()
+    }, errorHandler(done))
+  })
+
+  it('inject undefined, or a default value, when an optional dependency has no provider', function(done) {
+    context.register('service', function(mailer, metrics, tracer) { 
+      this.args = [mailer, metrics, tracer] 
+    }, false, 'singleton', false, ['mailer?', 'metrics?', dependencies.optional('tracer', 'noop')])
+    expect(R.map(dependencies.describe, context.factories['service'].dependencies)).toEqual(
+      ['mailer?', 'metrics?', 'optional(\'tracer\', "noop")'])
+    context.validate().then(function() {
+      return context.getInstance('service')
+    }).then(function(service) {
+      expect(service.args[0].id).toEqual(1)
+      expect(service.args.slice(1)).toEqual([undefined, 'noop'])
+      done()
+    }, errorHandler(done))
+  })
+
+  it('are reported by validation if their provider is missing', function(done) {
+    context.register('service', function(mailer) {}, false, 'singleton', false, [dependencies.provider('missing')])
+    context.validate().then(function() {
+      fail('Expected a ValidationError')
+      done()
+    }, function(err) {
+      expect(err.problems[0].message).toContain('service requires \'missing\' which has no provider')
+      done()
+    })
+  })
+
+})
@@ -0,0 +1,124 @@
+var Context = require('lib/context')
+var errors = require('lib/errors')
+var R = require('ramda')
+var path = require('path')
+var journal = require('./fixtures/lifecycle/journal')
+
+describe('lifecycle', function() {
+
+  var context = undefined
+
+  var errorHandler = R.curry(function(done, err) {
+    fail(err)
+    done()
+  })
+
+  beforeEach(function(done) {
+    journal.length = 0
+    context = new Context([ path.join(__dirname, 'fixtures', 'lifecycle') ], {logger: null})
+    done()
+  })
+
+  it('invokes @PostConstruct methods once instances are built', function(done) {
+    context.bootstrap(true)
+      .then(function(context) {
+        expect(context.instances['lifecycle.connection'].isOpen).toBe(true)
+        expect(journal).toEqual(['connection.open'])
+        done()
+      },
+      errorHandler(done))
+  })
+
+  it('invokes @PreDestroy methods in the reverse order of dependencies on shutdown', function(done) {
+    context.bootstrap(true)
+      .then(function(context) {
+        return context.shutdown()
+      })
+      .then(function(context) {
+        expect(journal).toEqual(['connection.open', 'server.stop', 'connection.close'])
+        expect(context.instances).toEqual({})
+        done()
+      },
+      errorHandler(done))
+  })
+
+  it('only disposes of singletons that were built', function(done) {
+    context.bootstrap(false)
+      .then(function(context) {
+        return context.getInstance('lifecycle.connection')
+      })
+      .then(function() {
+        context.shutdown(function(err) {
+          if (err) fail(err)
+          else expect(journal).toEqual(['connection.open', 'connection.close'])
+          done()
+        })
+      },
+      errorHandler(done))
+  })
+
+  it('accepts lifecycle methods as options when registering explicitly', function(done) {
+    var resource = {
+      start: function() { journal.push('resource.start') },
+      stop: function() { journal.push('resource.stop') }
+    }
+    context.register('resource', function() { return resource }, false, 'singleton', false, [], 
+      {postConstruct: 'start', preDestroy: 'stop'})
+    context.getInstance('resource')
+      .then(function() {
+        return context.shutdown()
+      })
+      .then(function() {
+        expect(journal).toEqual(['resource.start', 'resource.stop'])
+        done()
+      },
+      errorHandler(done))
+  })
+
+  it('disposes of every other singleton when a @PreDestroy method fails, then rejects', function(done) {
+    var closer = (name, fails) => function() {
+      return {close: () => {
+        journal.push(name + '.close')
+        if (fails) throw new Error('Cannot close ' + name)
+      }}
+    }
+    context.register('a', closer('a'), false, 'singleton', false, [], {preDestroy: 'close'})
+    context.register('b', closer('b', true), false, 'singleton', false, ['a'], {preDestroy: 'close'})
+    context.register('c', closer('c'), false, 'singleton', false, [], {preDestroy: 'close'})
+    context.getInstances(['b', 'c'])
+      .then(function() {
+        return context.shutdown()
+      })
+      .then(function() {
+        fail('Expected a ShutdownError')
+        done()
+      }, function(err) {
+        expect(err instanceof errors.ShutdownError).toBe(true)
+        expect(err.failures.length).toEqual(1)
+        expect(err.failures[0].name).toEqual('b')
+        expect(err.message).toContain('b: Cannot close b')
+        expect(journal.indexOf('b.close')).toBeLessThan(journal.indexOf('a.close'))
+        expect(journal.sort()).toEqual(['a.close', 'b.close', 'c.close'])
+        expect(context.instances).toEqual({})
+        done()
+      })
+  })
+
+  it('rejects when a lifecycle method does not exist', function(done) {
+    context.register('broken', function() {}, false, 'singleton', false, [], {postConstruct: 'missing'})
+    context.getInstance('broken')
+      .then(function() {
+        fail('Expected a rejection')
+        done()
+      }, function(err) {
+        expect(err.message).toContain('missing')
+        done()
+      })
+  })
+
+  afterEach(function(done) {
+    context = undefined
+    done()
+  })
+
+})
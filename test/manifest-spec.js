@@ -0,0 +1,144 @@
+var Context = require('lib/context')
+var cli = require('lib/cli')
+var EventEmitter = require('events')
+var R = require('ramda')
+var fs = require('fs')
+var os = require('os')
+var path = require('path')
+
+describe('manifests', function() {
+
+  var fixtures = path.join(__dirname, 'files')
+  var scanned = undefined
+  var events = undefined
+  var directory = undefined
+
+  var errorHandler = R.curry(function(done, err) {
+    fail(err)
+    done()
+  })
+
+  var providerSource = function(name) {
+    return [
+      '/**',
+      ' * @Provides \'' + name + '\'',
+      ' */',
+      'exports.create = function() {',
+      '  return {name: \'' + name + '\'}',
+      '}',
+      ''
+    ].join('\n')
+  }
+
+  var newContext = function(rootpath, options) {
+    var context = new Context([rootpath], R.merge({events: events, logger: null}, options))
+    context.register('model.string', 'model')
+    context.register('non.module.string', 'non-module')
+    context.register('db.config', {uri: 'mongodb://foo'})
+    context.register('multiple1.string', 'multiple1')
+    context.register('multiple2.string', 'multiple2')
+    return context
+  }
+
+  beforeEach(function() {
+    scanned = []
+    events = new EventEmitter()
+    events.on('scan:file', (event) => scanned.push(path.basename(event.path)))
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'abdicate-'))
+  })
+
+  afterEach(function() {
+    fs.rmSync(directory, {recursive: true})
+  })
+
+  it('describe the scanned providers relative to their rootpaths', function(done) {
+    newContext(fixtures).bootstrap(false).then(function(context) {
+      var manifest = context.manifest()
+      var file = R.find(R.propEq('sub/provider2.js', 'path'), manifest.files)
+      expect(manifest.version).toEqual(1)
+      expect(file.root).toEqual(0)
+      expect(file.mtime).toEqual(fs.statSync(path.join(fixtures, 'sub/provider2.js')).mtime.getTime())
+      expect(R.pluck('functionName', file.providers)).toEqual(['Provider2'])
+      expect(JSON.parse(JSON.stringify(manifest))).toEqual(manifest)
+      done()
+    }, errorHandler(done))
+  })
+
+  it('are loaded instead of scanning', function(done) {
+    newContext(fixtures).bootstrap(false).then(function(context) {
+      scanned = []
+      return newContext(fixtures, {manifest: context.manifest()}).bootstrap(true)
+    }).then(function(context) {
+      expect(scanned).toEqual([])
+      expect(context.instances['my.service']).toBeDefined()
+      expect(context.factories['my.connection'].source.path).toEqual(path.join(fixtures, 'mydatabase.js'))
+      done()
+    }, errorHandler(done))
+  })
+
+  it('are written by the abdicate command', function(done) {
+    var out = path.join(directory, 'manifest.json')
+    cli.run(['manifest', '--out=' + out, fixtures], {write: R.identity}, {write: R.identity}).then(function(code) {
+      expect(code).toEqual(0)
+      return newContext(fixtures, {manifest: out}).bootstrap(false)
+    }).then(function(context) {
+      expect(scanned).toEqual([])
+      expect(context.factories['my.service']).toBeDefined()
+      done()
+    }, errorHandler(done))
+  })
+
+  it('are brought up to date by scanning only the files which have changed, when checked', function(done) {
+    var manifest = path.join(directory, 'manifest.json')
+    var rootpath = path.join(directory, 'src')
+    fs.mkdirSync(rootpath)
+    fs.writeFileSync(path.join(rootpath, 'a.js'), providerSource('a'))
+    fs.writeFileSync(path.join(rootpath, 'b.js'), providerSource('b'))
+    var options = {manifest: manifest, checkManifest: true}
+    newContext(rootpath, options).bootstrap(false).then(function() {
+      expect(scanned).toEqual(['a.js', 'b.js'])
+      expect(fs.existsSync(manifest)).toBe(true)
+      scanned = []
+      fs.writeFileSync(path.join(rootpath, 'b.js'), providerSource('moved'))
+      fs.utimesSync(path.join(rootpath, 'b.js'), new Date(), new Date(Date.now() + 5000))
+      return newContext(rootpath, options).bootstrap(false)
+    }).then(function(context) {
+      expect(scanned).toEqual(['b.js'])
+      expect(context.factories['moved']).toBeDefined()
+      expect(context.factories['b']).toBeUndefined()
+      scanned = []
+      return newContext(rootpath, {manifest: manifest}).bootstrap(false)
+    }).then(function(context) {
+      expect(scanned).toEqual([])
+      expect(R.keys(context.factories).sort()).toEqual(['a', 'db.config', 'model.string', 'moved', 'multiple1.string', 'multiple2.string', 'non.module.string'])
+      done()
+    }, errorHandler(done))
+  })
+
+  it('are not written for interceptors whose matchers are not JSON', function(done) {
+    var decorators = JSON.stringify(path.join(__dirname, '..', 'decorators'))
+    fs.writeFileSync(path.join(directory, 'timing.js'), [
+      'var decorators = require(' + decorators + ')',
+      'exports.timing = function() {',
+      '  return (invocation) => invocation.proceed()',
+      '}',
+      'decorators.Intercept(/^repo\\./)(exports.timing)',
+      ''
+    ].join('\n'))
+    newContext(directory).bootstrap(false).then(function(context) {
+      expect(() => context.manifest()).toThrowError(/Cannot write timing.timing .* not a glob pattern/)
+      done()
+    }, errorHandler(done))
+  })
+
+  it('of another version are rejected', function(done) {
+    newContext(fixtures, {manifest: {version: 0, files: []}}).bootstrap(false).then(function() {
+      fail('Expected an error')
+      done()
+    }, function(err) {
+      expect(err.message).toContain('Unsupported version of manifest')
+      done()
+    })
+  })
+
+})
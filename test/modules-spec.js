@@ -0,0 +1,79 @@
+var Context = require('lib/context')
+var EventEmitter = require('events')
+var R = require('ramda')
+var path = require('path')
+
+describe('ES modules and classes', function() {
+
+  var context = undefined
+
+  var errorHandler = R.curry(function(done, err) {
+    fail(err)
+    done()
+  })
+
+  beforeEach(function(done) {
+    context = new Context([path.join(__dirname, 'fixtures', 'modules')])
+    done()
+  })
+
+  it('are discovered by importing modules and reading annotations on exported functions and classes', function(done) {
+    context.bootstrap(false).then(function() {
+      expect(R.keys(context.factories).sort()).toEqual(
+        ['modules.cache', 'modules.client', 'modules.config', 'modules.connected', 'modules.registry', 'modules.repository'])
+      expect(context.factories['modules.repository'].source.functionName).toEqual('default')
+      expect(context.factories['modules.connected'].source.functionName).toEqual('Client.connect')
+      done()
+    }, errorHandler(done))
+  })
+
+  it('build classes with new', function(done) {
+    context.bootstrap(true).then(function() {
+      expect(context.instances['modules.client'].config).toEqual({url: 'http://localhost'})
+      expect(context.instances['modules.repository'].client).toBe(context.instances['modules.client'])
+      expect(context.instances['modules.cache'].entries).toEqual({})
+      done()
+    }, errorHandler(done))
+  })
+
+  it('build objects with static factory methods, invoked on their class', function(done) {
+    context.bootstrap(true).then(function() {
+      var connected = context.instances['modules.connected']
+      expect(connected.connected).toBe(true)
+      expect(connected.constructor.name).toEqual('Client')
+      expect(context.instances['modules.registry'].cache).toBe(context.instances['modules.cache'])
+      expect(context.instances['modules.registry'].entries).toEqual(['default'])
+      done()
+    }, errorHandler(done))
+  })
+
+  it('report annotated classes which are not exported as unresolved, rather than crashing', function(done) {
+    var events = new EventEmitter()
+    var unresolved = []
+    events.on('scan:unresolved', (event) => unresolved.push(event.functionName))
+    context = new Context([path.join(__dirname, 'fixtures', 'unexported')], {events: events, logger: null})
+    context.bootstrap(true).then(function() {
+      expect(unresolved).toEqual(['Thing'])
+      expect(R.keys(context.factories)).toEqual(['widget'])
+      expect(context.instances['widget']).toBeDefined()
+      done()
+    }, errorHandler(done))
+  })
+
+  it('build classes that are registered explicitly', function(done) {
+    class Greeter {
+      constructor(name) { 
+        this.greeting = 'Hello ' + name 
+      }
+    }
+    context.register('name', 'world')
+    context.register('greeter', Greeter, false, 'singleton', false, ['name'])
+    context.register('farewell', (name) => 'Goodbye ' + name, false, 'singleton', false, ['name'])
+    context.getInstances(['greeter', 'farewell']).then(function(instances) {
+      expect(instances.greeter.greeting).toEqual('Hello world')
+      expect(instances.farewell).toEqual('Goodbye world')
+      done()
+    }, errorHandler(done))
+  })
+
+})
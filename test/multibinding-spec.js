@@ -0,0 +1,76 @@
+var Context = require('lib/context')
+var dependencies = require('lib/dependencies')
+var R = require('ramda')
+var path = require('path')
+
+describe('collections', function() {
+
+  var context = undefined
+
+  var errorHandler = R.curry(function(done, err) {
+    fail(err)
+    done()
+  })
+
+  beforeEach(function(done) {
+    context = new Context([ path.join(__dirname, 'fixtures', 'multibinding') ])
+    done()
+  })
+
+  it('inject every tagged contribution, even those which share a name', function(done) {
+    context.bootstrap(true)
+      .then(function(context) {
+        var routes = context.instances['router'].routes
+        expect(R.pluck('path', routes).sort()).toEqual(['/', '/about'])
+        done()
+      },
+      errorHandler(done))
+  })
+
+  it('are sorted by the order of the contributions', function(done) {
+    var middleware = function(name) { 
+      return function() { this.name = name } 
+    }
+    context.register('cors', middleware('cors'), false, 'singleton', false, [], {tag: 'middleware', order: 2})
+    context.register('auth', middleware('auth'), false, 'singleton', false, [], {tag: 'middleware', order: 3})
+    context.register('logging', middleware('logging'), false, 'singleton', false, [], {tag: 'middleware', order: 1})
+    context.register('chain', function(middleware) { this.middleware = middleware }, false, 'singleton', false, 
+      [dependencies.all('middleware')])
+    context.getInstance('chain')
+      .then(function(chain) {
+        expect(R.pluck('name', chain.middleware)).toEqual(['logging', 'cors', 'auth'])
+        done()
+      },
+      errorHandler(done))
+  })
+
+  it('may be injected as a map of names to instances', function(done) {
+    context.register('en', 'Hello', false, 'singleton', false, [], {tag: 'greetings'})
+    context.register('fr', 'Bonjour', false, 'singleton', false, [], {tag: ['greetings', 'french']})
+    context.register('greeter', function(greetings) { this.greetings = greetings }, false, 'singleton', false, 
+      [dependencies.all('greetings', 'map')])
+    context.getInstance('greeter')
+      .then(function(greeter) {
+        expect(greeter.greetings).toEqual({en: 'Hello', fr: 'Bonjour'})
+        done()
+      },
+      errorHandler(done))
+  })
+
+  it('are empty when nothing contributes to them', function(done) {
+    context.register('empty', function(nothing) { this.nothing = nothing }, false, 'singleton', false, 
+      [dependencies.all('nothing')])
+    context.getInstance('empty')
+      .then(function(empty) {
+        expect(empty.nothing).toEqual([])
+        done()
+      },
+      errorHandler(done))
+  })
+
+  afterEach(function(done) {
+    context = undefined
+    done()
+  })
+
+})
@@ -0,0 +1,153 @@
+var Context = require('lib/context')
+var Pool = require('lib/pool')
+var R = require('ramda')
+var path = require('path')
+
+describe('pools', function() {
+
+  var context = undefined
+
+  var errorHandler = R.curry(function(done, err) {
+    fail(err)
+    done()
+  })
+
+  var counter = function() {
+    var count = 0
+    return () => {
+      return {id: ++count}
+    }
+  }
+
+  beforeEach(function(done) {
+    context = new Context([path.join(__dirname, 'fixtures', 'pools')])
+    context.register('db.config', {uri: 'mongodb://foo'})
+    context.bootstrap(false).then(() => done(), errorHandler(done))
+  })
+
+  it('inject a pool which builds the minimum number of instances up front', function(done) {
+    context.getInstance('repository').then(function(repository) {
+      var pool = context.instances['db.connection']
+      expect(pool instanceof Pool).toBe(true)
+      expect(pool.stats()).toEqual(jasmine.objectContaining({name: 'db.connection', size: 1, idle: 1, borrowed: 0, min: 1, max: 2}))
+      return repository.find(7)
+    }).then(function(found) {
+      expect(found.id).toEqual(7)
+      expect(context.pools()).toEqual([jasmine.objectContaining({name: 'db.connection', size: 1, idle: 1, created: 1})])
+      done()
+    }, errorHandler(done))
+  })
+
+  it('lend instances up to the maximum, then keep borrowers waiting until one is released', function(done) {
+    var pool = undefined
+    var borrowed = []
+    context.getInstance('db.connection').then(function(instance) {
+      pool = instance
+      return Promise.all([pool.acquire(), pool.acquire()])
+    }).then(function(connections) {
+      borrowed = connections
+      expect(connections[0]).not.toBe(connections[1])
+      expect(connections[0].uri).toEqual('mongodb://foo')
+      var waiting = pool.acquire()
+      expect(pool.stats()).toEqual(jasmine.objectContaining({size: 2, borrowed: 2, waiting: 1}))
+      pool.release(connections[1])
+      return waiting
+    }).then(function(connection) {
+      expect(connection).toBe(borrowed[1])
+      expect(pool.stats()).toEqual(jasmine.objectContaining({size: 2, borrowed: 2, waiting: 0}))
+      expect(() => pool.release({})).toThrowError(/was not borrowed/)
+      done()
+    }, errorHandler(done))
+  })
+
+  it('dispose of idle instances beyond the minimum once they time out', function(done) {
+    var pool = undefined
+    context.getInstance('db.connection').then(function(instance) {
+      pool = instance
+      return Promise.all([pool.acquire(), pool.acquire()])
+    }).then(function(connections) {
+      return Promise.all(R.map((connection) => pool.release(connection), connections)).then(() => connections)
+    }).then(function(connections) {
+      expect(pool.stats().idle).toEqual(2)
+      setTimeout(function() {
+        expect(pool.stats()).toEqual(jasmine.objectContaining({size: 1, idle: 1, destroyed: 1}))
+        expect(R.filter(R.propEq(false, 'open'), connections).length).toEqual(1)
+        done()
+      }, 100)
+    }, errorHandler(done))
+  })
+
+  it('replace an instance which is invalidated', function(done) {
+    context.bind('worker').toFactory(counter()).pool({max: 1, idleTimeout: 0})
+    var pool = undefined
+    context.getInstance('worker').then(function(instance) {
+      pool = instance
+      return pool.acquire()
+    }).then(function(worker) {
+      var waiting = pool.acquire()
+      return pool.invalidate(worker).then(() => waiting)
+    }).then(function(worker) {
+      expect(worker.id).toEqual(2)
+      expect(pool.stats()).toEqual(jasmine.objectContaining({size: 1, borrowed: 1, created: 2, destroyed: 1}))
+      done()
+    }, errorHandler(done))
+  })
+
+  it('release an instance after use, even if it fails', function(done) {
+    context.bind('worker').toFactory(counter()).pool({max: 1})
+    var pool = undefined
+    context.getInstance('worker').then(function(instance) {
+      pool = instance
+      return pool.use(() => {
+        throw new Error('Failed')
+      })
+    }).then(function() {
+      fail('Expected an error')
+      done()
+    }, function(err) {
+      expect(err.message).toEqual('Failed')
+      expect(pool.stats()).toEqual(jasmine.objectContaining({idle: 1, borrowed: 0}))
+      done()
+    })
+  })
+
+  it('share the pool with child contexts', function(done) {
+    var child = context.createChild()
+    child.getInstance('db.connection').then(function(pool) {
+      expect(context.instances['db.connection']).toBe(pool)
+      expect(child.pools()).toEqual([])
+      done()
+    }, errorHandler(done))
+  })
+
+  it('drain the pools on shutdown', function(done) {
+    var pool = undefined
+    var borrowed = undefined
+    context.getInstance('db.connection').then(function(instance) {
+      pool = instance
+      return Promise.all([pool.acquire(), pool.acquire()])
+    }).then(function(connections) {
+      borrowed = connections
+      var waiting = pool.acquire()
+      return context.shutdown().then(() => waiting)
+    }).then(function() {
+      fail('Expected an error')
+      done()
+    }, function(err) {
+      expect(err.message).toMatch(/has been drained/)
+      expect(borrowed[1].open).toBe(true)
+      expect(context.factories['db.connection'].instance).toBeUndefined()
+      expect(context.pools()).toEqual([])
+      pool.release(borrowed[1]).then(function() {
+        expect(borrowed[1].open).toBe(false)
+        return pool.acquire()
+      }).then(function() {
+        fail('Expected an error')
+        done()
+      }, function(err) {
+        expect(err.message).toMatch(/has been drained/)
+        done()
+      })
+    })
+  })
+})
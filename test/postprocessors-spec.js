@@ -0,0 +1,122 @@
+var Context = require('lib/context')
+var Decorates = require('lib/decorates')
+var R = require('ramda')
+var path = require('path')
+
+describe('post-processors and decorators', function() {
+
+  var context = undefined
+
+  var errorHandler = R.curry(function(done, err) {
+    fail(err)
+    done()
+  })
+
+  var mailer = function() {
+    this.sent = []
+    this.send = (message) => {
+      this.sent.push(message)
+      return message
+    }
+  }
+
+  beforeEach(function(done) {
+    context = new Context([path.join(__dirname, 'fixtures', 'decorates')], {logger: null})
+    done()
+  })
+
+  it('post-process every instance that is built (or registered as a value), before it is cached', function(done) {
+    var processed = []
+    context.register('config', {debug: true})
+    context.register('service', function() { this.name = 'service' })
+    context.addPostProcessor((instance, instanceFactory) => {
+      processed.push(instanceFactory.name)
+      return instance
+    })
+    context.addPostProcessor((instance) => Promise.resolve(R.merge(instance, {processed: true})))
+    context.getInstance('service').then(function(service) {
+      expect(service).toEqual({name: 'service', processed: true})
+      expect(context.instances['service']).toBe(service)
+      expect(context.factories['service'].instance).toBe(service)
+      return context.getInstance('config')
+    }).then(function(config) {
+      expect(config).toEqual({debug: true, processed: true})
+      expect(context.factories['config'].value).toEqual({debug: true})
+      expect(processed).toEqual(['service', 'config'])
+      done()
+    }, errorHandler(done))
+  })
+
+  it('may reject the build of an instance', function(done) {
+    context.register('service', function() {})
+    context.createChild().addPostProcessor(() => Promise.resolve(true))
+    context.addPostProcessor(() => {
+      throw new Error('Not allowed')
+    })
+    context.getInstance('service').then(function() {
+      fail('Expected an error')
+      done()
+    }, function(err) {
+      expect(err.message).toEqual('Not allowed')
+      expect(context.instances['service']).toBeUndefined()
+      done()
+    })
+  })
+
+  it('decorate the instances of another provider, in order, with their own dependencies', function(done) {
+    context.register('mailer', mailer)
+    context.bootstrap(true).then(function() {
+      var decorated = context.instances['mailer']
+      expect(decorated.send('Hello')).toEqual('Hello --sig')
+      expect(context.instances['audit']).toEqual(['Hello'])
+      expect(context.instances['plugins.audited']).toBeUndefined()
+      return context.getInstance('plugins.audited')
+    }).then(function() {
+      fail('Expected an error')
+      done()
+    }, function(err) {
+      expect(err.message).toEqual('plugins.audited decorates mailer and so provides no instance of its own')
+      done()
+    })
+  })
+
+  it('decorate values registered explicitly, once', function(done) {
+    var client = {get: () => 'raw'}
+    var decorations = 0
+    context = new Context([], {logger: null})
+    context.bind('client').toValue(client)
+    context.bind('client.decorator').toFactory((client) => {
+      decorations++
+      return {get: () => 'decorated ' + client.get()}
+    }).decorates('client')
+    context.getInstance('client').then(function(decorated) {
+      expect(decorated.get()).toEqual('decorated raw')
+      return context.createChild().getInstance('client').then((again) => expect(again).toBe(decorated))
+    }).then(function() {
+      expect(decorations).toEqual(1)
+      return context.shutdown()
+    }).then(function() {
+      return context.getInstance('client')
+    }).then(function(decorated) {
+      expect(decorated.get()).toEqual('decorated raw')
+      expect(decorations).toEqual(2)
+      done()
+    }, errorHandler(done))
+  })
+
+  it('decorate providers registered explicitly, and are validated like any other provider', function(done) {
+    context = new Context([], {logger: null})
+    context.register('mailer', mailer)
+    context.bind('mailer.decorator').toFactory((mailer) => R.merge(mailer, {decorated: true})).decorates('mailer')
+    context.bind('broken.decorator').toFactory(() => {}).decorates('mailer')
+    context.validate().then(function() {
+      fail('Expected a ValidationError')
+      done()
+    }, function(err) {
+      expect(R.pluck('name', err.problems)).toEqual(['broken.decorator'])
+      expect(new Decorates('\'mailer\'').decorates).toEqual('mailer')
+      done()
+    })
+  })
+
+})
@@ -0,0 +1,85 @@
+var Context = require('lib/context')
+var EventEmitter = require('events')
+var R = require('ramda')
+var path = require('path')
+
+describe('profiles and conditions', function() {
+
+  var fixtures = path.join(__dirname, 'fixtures', 'profiles')
+
+  var errorHandler = R.curry(function(done, err) {
+    fail(err)
+    done()
+  })
+
+  afterEach(function() {
+    delete process.env.ABDICATE_SPEC_FLAG
+  })
+
+  it('register only the providers of the active profiles', function(done) {
+    var prod = new Context([fixtures], {profiles: ['prod'], logger: null})
+    var dev = new Context([fixtures], {profiles: 'dev,local', logger: null})
+    Promise.all([prod.bootstrap(true), dev.bootstrap(true)]).then(function() {
+      expect(prod.instances['mailer'].kind).toEqual('smtp')
+      expect(prod.factories['mail.preview']).toBeUndefined()
+      expect(dev.instances['mailer'].kind).toEqual('stub')
+      expect(dev.instances['mail.preview'].kind).toEqual('preview')
+      done()
+    }, errorHandler(done))
+  })
+
+  it('accept the active profiles as a comma-separated list, with spaces', function(done) {
+    new Context([fixtures], {profiles: 'local, prod', logger: null}).bootstrap(true).then(function(context) {
+      expect(context.profiles).toEqual(['local', 'prod'])
+      expect(context.instances['mailer'].kind).toEqual('smtp')
+      done()
+    }, errorHandler(done))
+  })
+
+  it('register providers on condition that a property is defined, or another provider is missing', function(done) {
+    var redis = new Context([fixtures], {properties: [{values: {redis: {url: 'redis://localhost'}}}], logger: null})
+    var memory = new Context([fixtures], {logger: null})
+    Promise.all([redis.bootstrap(true), memory.bootstrap(true)]).then(function() {
+      expect(redis.instances['cache'].kind).toEqual('redis')
+      expect(redis.instances['cache'].client.url).toEqual('redis://localhost')
+      expect(memory.instances['cache'].kind).toEqual('memory')
+      expect(memory.factories['redis.client']).toBeUndefined()
+      done()
+    }, errorHandler(done))
+  })
+
+  it('register providers on condition that an environment variable has a value', function(done) {
+    process.env.ABDICATE_SPEC_FLAG = 'on'
+    var flagged = new Context([fixtures], {logger: null})
+    flagged.bootstrap(false).then(function() {
+      expect(flagged.factories['flagged']).toBeDefined()
+      process.env.ABDICATE_SPEC_FLAG = 'off'
+      return new Context([fixtures], {logger: null}).bootstrap(false)
+    }).then(function(unflagged) {
+      expect(unflagged.factories['flagged']).toBeUndefined()
+      done()
+    }, errorHandler(done))
+  })
+
+  it('apply to providers registered explicitly, emitting an event for each that is skipped', function() {
+    var events = new EventEmitter()
+    var skipped = []
+    events.on('skip', (data) => skipped.push(data))
+    var context = new Context([], {profiles: ['test'], events: events, logger: null})
+    context.register('mailer', {kind: 'smtp'}, false, 'singleton', false, [], {profile: 'prod'})
+    context.bind('mailer').toValue({kind: 'stub'}).profile('dev', 'test')
+    context.bind('audit').toValue({}).conditionalOn({name: 'mailer', missing: true})
+    expect(context.factories['mailer'].instance.kind).toEqual('stub')
+    expect(context.factories['audit']).toBeUndefined()
+    expect(R.pluck('name', skipped)).toEqual(['mailer', 'audit'])
+    expect(skipped[0].reason).toEqual('none of its profiles (prod) is active')
+    expect(skipped[1].reason).toEqual('its condition (name="mailer" missing=true) does not hold')
+  })
+
+  it('reject a @ConditionalOn annotation without exactly one property, env or name', function() {
+    var ConditionalOn = require('lib/conditionalon')
+    expect(() => new ConditionalOn('value=\'on\'')).toThrowError(/exactly one of property, env or name/)
+    expect(new ConditionalOn('\'redis.url\'').conditionalOn).toEqual({property: 'redis.url'})
+  })
+
+})
@@ -0,0 +1,90 @@
+var Context = require('lib/context')
+var Properties = require('lib/properties')
+var errors = require('lib/errors')
+var R = require('ramda')
+var path = require('path')
+
+describe('configuration properties', function() {
+
+  var fixtures = path.join(__dirname, 'fixtures', 'properties')
+  var sources = [
+    {file: path.join(fixtures, 'config.json')},
+    {file: path.join(fixtures, 'config.yml')},
+    {env: 'ABDICATE_TEST_', variables: {ABDICATE_TEST_SERVER_HOST: 'example.com', ABDICATE_TEST_FEATURE_ENABLED: 'true', OTHER: 'x'}},
+    {name: 'overrides', values: {db: {name: 'overridden'}}}
+  ]
+  var context = undefined
+
+  var errorHandler = R.curry(function(done, err) {
+    fail(err)
+    done()
+  })
+
+  beforeEach(function(done) {
+    context = new Context([ path.join(fixtures, 'providers') ], {properties: sources, logger: null})
+    done()
+  })
+
+  it('are layered, with later sources taking precedence', function() {
+    var properties = new Properties(sources)
+    expect(properties.get('db.uri')).toEqual('mongodb://yaml')
+    expect(properties.get('db.poolSize')).toEqual(5)
+    expect(properties.get('db.name')).toEqual('overridden')
+    expect(properties.get('server.host')).toEqual('example.com')
+    expect(properties.get('feature.enabled')).toBe(true)
+    expect(properties.has('other')).toBe(false)
+  })
+
+  it('list their effective values and where each came from', function() {
+    expect(context.properties.list()).toEqual([
+      {key: 'db.name', value: 'overridden', source: 'overrides'},
+      {key: 'db.poolSize', value: 5, source: 'file:' + path.join(fixtures, 'config.json')},
+      {key: 'db.uri', value: 'mongodb://yaml', source: 'file:' + path.join(fixtures, 'config.yml')},
+      {key: 'feature.enabled', value: true, source: 'env:ABDICATE_TEST_FEATURE_ENABLED'},
+      {key: 'server.host', value: 'example.com', source: 'env:ABDICATE_TEST_SERVER_HOST'}
+    ])
+  })
+
+  it('are injected as typed values, with defaults', function(done) {
+    context.bootstrap(false)
+      .then(function(context) {
+        return context.getInstance('server')
+      })
+      .then(function(server) {
+        expect(server.host).toEqual('example.com')
+        expect(server.port).toEqual(8080)
+        expect(server.poolSize).toEqual(5)
+        done()
+      },
+      errorHandler(done))
+  })
+
+  it('reject when a required property is not defined', function(done) {
+    context.bootstrap(false)
+      .then(function(context) {
+        return context.getInstance('secured')
+      })
+      .then(function() {
+        fail('Expected a MissingPropertyError')
+        done()
+      }, function(err) {
+        expect(err instanceof errors.MissingPropertyError).toBe(true)
+        expect(err.message).toEqual('The property \'db.password\' is not defined but is required by secured')
+        done()
+      })
+  })
+
+  it('are reported by validation when they are required but not defined', function(done) {
+    context.bootstrap({strict: true}, function(err) {
+      expect(err.problems.length).toEqual(1)
+      expect(err.problems[0].type).toEqual('property')
+      expect(err.problems[0].message).toContain('secured requires the property \'db.password\'')
+      done()
+    })
+  })
+
+  it('are shared with child contexts', function() {
+    expect(context.createChild().properties.get('db.uri')).toEqual('mongodb://yaml')
+  })
+
+})
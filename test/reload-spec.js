@@ -0,0 +1,130 @@
+var Context = require('lib/context')
+var EventEmitter = require('events')
+var R = require('ramda')
+var fs = require('fs')
+var os = require('os')
+var path = require('path')
+
+describe('reloading', function() {
+
+  var directory = undefined
+  var context = undefined
+  var events = undefined
+  var log = undefined
+
+  var errorHandler = R.curry(function(done, err) {
+    fail(err)
+    done()
+  })
+
+  var writeConfig = function(version) {
+    fs.writeFileSync(path.join(directory, 'config.js'), [
+      '/**',
+      ' * @Provides \'config\'',
+      ' */',
+      'exports.config = function() {',
+      '  return {version: ' + version + '}',
+      '}',
+      ''
+    ].join('\n'))
+  }
+
+  beforeEach(function(done) {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'abdicate-'))
+    writeConfig(1)
+    fs.writeFileSync(path.join(directory, 'service.js'), [
+      '/**',
+      ' * @Provides \'service\'',
+      ' * @Requires [\'config\', \'log\']',
+      ' * @PreDestroy \'stop\'',
+      ' */',
+      'exports.Service = function(config, log) {',
+      '  this.stop = () => log.push(\'stopped version \' + config.version)',
+      '}',
+      ''
+    ].join('\n'))
+    fs.writeFileSync(path.join(directory, 'other.js'), [
+      '/**',
+      ' * @Provides \'other\'',
+      ' */',
+      'exports.Other = function() {',
+      '}',
+      ''
+    ].join('\n'))
+    log = []
+    events = new EventEmitter()
+    context = new Context([directory], {events: events, logger: null})
+    context.register('log', log)
+    context.bootstrap(true).then(() => done(), errorHandler(done))
+  })
+
+  afterEach(function() {
+    fs.rmSync(directory, {recursive: true})
+  })
+
+  it('re-registers the providers of a file and rebuilds the singletons which depend on them', function(done) {
+    var other = context.instances['other']
+    var reloaded = undefined
+    events.on('reload', (event) => reloaded = event)
+    writeConfig(2)
+    context.reload([path.join(directory, 'config.js')]).then(function(names) {
+      expect(names).toEqual(['config', 'service'])
+      expect(reloaded).toEqual({paths: [path.join(directory, 'config.js')], names: ['config', 'service']})
+      expect(log).toEqual(['stopped version 1'])
+      expect(context.instances['config'].version).toEqual(2)
+      expect(context.instances['other']).toBe(other)
+      return context.getInstance('service')
+    }).then(function(service) {
+      expect(service).toBe(context.instances['service'])
+      service.stop()
+      expect(log).toEqual(['stopped version 1', 'stopped version 2'])
+      done()
+    }, errorHandler(done))
+  })
+
+  it('unregisters the providers of a file which has been removed', function(done) {
+    fs.unlinkSync(path.join(directory, 'other.js'))
+    context.reload([path.join(directory, 'other.js')]).then(function(names) {
+      expect(names).toEqual([])
+      expect(context.factories['other']).toBeUndefined()
+      expect(context.instances['other']).toBeUndefined()
+      done()
+    }, errorHandler(done))
+  })
+
+  it('reloads files when watching the rootpaths', function(done) {
+    var watcher = context.watch(20)
+    events.on('reload', function(event) {
+      watcher.close()
+      expect(event.paths).toEqual([path.join(directory, 'config.js')])
+      expect(context.instances['config'].version).toEqual(3)
+      done()
+    })
+    setTimeout(() => writeConfig(3), 20)
+  })
+
+  it('watches each directory where Node cannot watch recursively', function(done) {
+    var watch = fs.watch
+    var watched = []
+    spyOn(fs, 'watch').and.callFake(function(dirpath, options) {
+      if (options instanceof Object && options.recursive) {
+        var err = new Error('The feature watch recursively is unavailable on the current platform')
+        err.code = 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM'
+        throw err
+      }
+      watched.push(dirpath)
+      return watch.apply(fs, arguments)
+    })
+    fs.mkdirSync(path.join(directory, 'sub'))
+    var watcher = context.watch(20)
+    expect(watched).toEqual([directory + '/', path.join(directory, 'sub') + '/'])
+    events.on('reload', function(event) {
+      watcher.close()
+      expect(event.paths).toEqual([path.join(directory, 'config.js')])
+      expect(context.instances['config'].version).toEqual(4)
+      done()
+    })
+    setTimeout(() => writeConfig(4), 20)
+  })
+
+})
@@ -0,0 +1,121 @@
+var Context = require('lib/context')
+var errors = require('lib/errors')
+var R = require('ramda')
+
+describe('timeouts and retries', function() {
+
+  var context = undefined
+
+  var errorHandler = R.curry(function(done, err) {
+    fail(err)
+    done()
+  })
+
+  var never = function() {
+    return new Promise(function() {})
+  }
+
+  var failing = function(failures) {
+    var calls = 0
+    var factory = function() {
+      calls++
+      if (calls <= failures) return Promise.reject(new Error('Not yet (' + calls + ')'))
+      else return Promise.resolve({calls: calls})
+    }
+    return factory
+  }
+
+  beforeEach(function(done) {
+    context = new Context([], {logger: null})
+    done()
+  })
+
+  it('reject with an error naming the provider and the chain that led to it', function(done) {
+    context.register('broker', never, false, 'singleton', 'promise', [], {timeout: 50})
+    context.register('app', function(broker) {}, false, 'singleton', false, ['broker'])
+    context.getInstance('app')
+      .then(function() {
+        fail('Expected a TimeoutError')
+        done()
+      }, function(err) {
+        expect(err instanceof errors.TimeoutError).toBe(true)
+        expect(err.providerName).toEqual('broker')
+        expect(err.chain).toEqual(['app', 'broker'])
+        expect(err.message).toEqual('Timed out after 50ms waiting for broker (required via app -> broker)')
+        done()
+      })
+  })
+
+  it('apply the default timeout of the Context', function(done) {
+    context = new Context([], {timeout: 50, logger: null})
+    context.register('connection', function(callback) {}, false, 'singleton', 'callback')
+    context.getInstance('connection', function(err) {
+      expect(err instanceof errors.TimeoutError).toBe(true)
+      expect(err.timeout).toEqual(50)
+      done()
+    })
+  })
+
+  it('retry failing providers after a backoff', function(done) {
+    var started = Date.now()
+    context.register('flaky', failing(2), false, 'singleton', 'promise', [], {retries: 2, backoff: 20})
+    context.getInstance('flaky')
+      .then(function(flaky) {
+        expect(flaky.calls).toEqual(3)
+        expect(Date.now() - started).not.toBeLessThan(60) // 20ms, then 40ms
+        done()
+      },
+      errorHandler(done))
+  })
+
+  it('give up after the last retry', function(done) {
+    context = new Context([], {retries: 1, logger: null})
+    context.register('flaky', failing(2), false, 'singleton', 'promise')
+    context.getInstance('flaky')
+      .then(function() {
+        fail('Expected the provider to fail')
+        done()
+      }, function(err) {
+        expect(err.message).toEqual('Not yet (2)')
+        done()
+      })
+  })
+
+  it('retry providers that time out', function(done) {
+    var calls = 0
+    context.register('slow', function() {
+      calls++
+      return calls == 1 ? never() : Promise.resolve('ready')
+    }, false, 'singleton', 'promise', [], {timeout: 20, retries: 1})
+    context.getInstance('slow')
+      .then(function(slow) {
+        expect(slow).toEqual('ready')
+        expect(calls).toEqual(2)
+        done()
+      },
+      errorHandler(done))
+  })
+
+  it('dispose of instances which are produced after their attempt has timed out', function(done) {
+    var opened = 0
+    var closed = 0
+    var connect = function() {
+      opened++
+      return new Promise((resolve) => setTimeout(() => resolve({close: () => closed++}), 80))
+    }
+    context.register('connection', connect, false, 'singleton', 'promise', [], {timeout: 50, retries: 1, preDestroy: 'close'})
+    context.getInstance('connection')
+      .then(function() {
+        fail('Expected a TimeoutError')
+        done()
+      }, function(err) {
+        expect(err instanceof errors.TimeoutError).toBe(true)
+        setTimeout(function() {
+          expect(opened).toEqual(2)
+          expect(closed).toEqual(2)
+          done()
+        }, 100)
+      })
+  })
+
+})
@@ -0,0 +1,116 @@
+var Context = require('lib/context')
+var testing = require('testing')
+var R = require('ramda')
+var path = require('path')
+
+describe('testing utilities', function() {
+
+  var bootstrapped = undefined
+  var context = undefined
+
+  var errorHandler = R.curry(function(done, err) {
+    fail(err)
+    done()
+  })
+
+  beforeAll(function(done) {
+    var scanned = new Context([ path.join(__dirname, 'files') ])
+    scanned.register('model.string', 'modelStringValue')
+    scanned.register('db.config', {uri: 'mongodb://foo'})
+    scanned.bootstrap(false).then(function(scanned) {
+      bootstrapped = scanned
+      done()
+    }, errorHandler(done))
+  })
+
+  beforeEach(function(done) {
+    context = testing.clone(bootstrapped)
+    done()
+  })
+
+  it('clone a Context without sharing its instances or providers', function(done) {
+    testing.stub(context, 'model.string', 'stubbed')
+    context.getInstance('my.connection')
+      .then(function(connection) {
+        expect(connection).toEqual('Connection[mongodb://foo]')
+        expect(bootstrapped.instances).toEqual({})
+        expect(bootstrapped.factories['my.connection'].instance).toBeUndefined()
+        expect(bootstrapped.factories['model.string'].instance).toEqual('modelStringValue')
+        done()
+      },
+      errorHandler(done))
+  })
+
+  it('replace providers with stubs', function(done) {
+    testing.stub(context, 'my.connection', 'FakeConnection')
+    testing.isolate(context, 'my.model')
+      .then(function(model) {
+        expect(model.connection).toEqual('FakeConnection')
+        done()
+      },
+      errorHandler(done))
+  })
+
+  it('record how spied-upon providers were built', function(done) {
+    var connections = testing.spy(context, 'my.connection')
+    var models = testing.spy(context, 'my.model', function(str, connection) {
+      this.fake = true
+    })
+    testing.isolate(context, ['my.model', 'my.connection'])
+      .then(function(instances) {
+        expect(connections.calls).toEqual([{args: [{uri: 'mongodb://foo'}], instance: 'Connection[mongodb://foo]'}])
+        expect(models.calls.length).toEqual(1)
+        expect(models.calls[0].args).toEqual(['modelStringValue', 'Connection[mongodb://foo]'])
+        expect(models.calls[0].instance).toBe(instances['my.model'])
+        expect(instances['my.model'].fake).toBe(true)
+        done()
+      },
+      errorHandler(done))
+  })
+
+  it('record how classes were built', function(done) {
+    class Repository {
+      constructor(connection) {
+        this.connection = connection
+      }
+    }
+    context.bind('repository').toClass(Repository).requires('my.connection')
+    var repositories = testing.spy(context, 'repository')
+    testing.isolate(context, 'repository')
+      .then(function(repository) {
+        expect(repository instanceof Repository).toBe(true)
+        expect(repository.connection).toEqual('Connection[mongodb://foo]')
+        expect(repositories.calls).toEqual([{args: ['Connection[mongodb://foo]'], instance: repository}])
+        done()
+      },
+      errorHandler(done))
+  })
+
+  it('build only the subgraph required by a name', function(done) {
+    testing.isolate(context, 'my.model')
+      .then(function() {
+        expect(R.keys(context.instances).sort()).toEqual(['db.config', 'model.string', 'my.connection', 'my.model'])
+        expect(context.factories['my.service'].instance).toBeUndefined()
+        done()
+      },
+      errorHandler(done))
+  })
+
+  it('reset the instances of a Context', function(done) {
+    var connections = testing.spy(context, 'my.connection')
+    testing.isolate(context, 'my.connection')
+      .then(function() {
+        testing.reset(context)
+        expect(context.instances).toEqual({})
+        expect(context.factories['my.connection'].instance).toBeUndefined()
+        expect(context.factories['db.config'].instance).toEqual({uri: 'mongodb://foo'})
+        return testing.isolate(context, 'my.connection')
+      })
+      .then(function() {
+        expect(connections.calls.length).toEqual(2)
+        done()
+      },
+      errorHandler(done))
+  })
+
+})
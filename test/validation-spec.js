@@ -0,0 +1,85 @@
+var Context = require('lib/context')
+var errors = require('lib/errors')
+var R = require('ramda')
+var path = require('path')
+
+describe('validation', function() {
+
+  var context = undefined
+  var fixtures = path.join(__dirname, 'fixtures', 'validation')
+
+  var errorHandler = R.curry(function(done, err) {
+    fail(err)
+    done()
+  })
+
+  beforeEach(function(done) {
+    context = new Context([ fixtures ], {logger: null})
+    context.register('valid.config', {})
+    done()
+  })
+
+  it('reports every problem in one error without instantiating anything', function(done) {
+    context.bootstrap(false)
+      .then(null, function(err) {
+        expect(err instanceof errors.AnnotationSyntaxError).toBe(true)
+        return context.validate()
+      })
+      .then(function() {
+        fail('Expected a ValidationError')
+        done()
+      }, function(err) {
+        expect(err instanceof errors.ValidationError).toBe(true)
+        expect(R.map(R.props(['name', 'type']), err.problems)).toEqual([
+          ['valid.service', 'unresolved'], 
+          ['valid.arity', 'arity'],
+          ['valid.attributes', 'attribute']
+        ])
+        expect(err.message).toContain('valid.service requires \'valid.confg\' which has no provider')
+        expect(err.message).toContain(path.join(fixtures, 'typo.js'))
+        expect(err.message).toContain(path.join(fixtures, 'attributes.js') + ':2:33: Unknown attribute \'scpe\'')
+        expect(context.instances).toEqual({})
+        done()
+      })
+  })
+
+  it('rejects when bootstrapping strictly', function(done) {
+    context.bootstrap({eager: true, strict: true}, function(err) {
+      expect(err instanceof errors.ValidationError).toBe(true)
+      expect(err.problems.length).toEqual(3)
+      expect(context.instances).toEqual({})
+      done()
+    })
+  })
+
+  it('reports circular dependencies', function(done) {
+    context = new Context([], {logger: null})
+    context.register('a', function(b) {}, false, 'singleton', false, ['b'])
+    context.register('b', function(a) {}, false, 'singleton', false, ['a'])
+    context.validate(function(err) {
+      expect(err.problems.length).toEqual(1)
+      expect(err.problems[0].type).toEqual('cycle')
+      expect(err.problems[0].message).toContain('a -> b -> a')
+      done()
+    })
+  })
+
+  it('resolves to the Context when there are no problems', function(done) {
+    context = new Context([], {logger: null})
+    context.register('config', {})
+    context.register('service', function(config) {}, false, 'singleton', false, ['config'])
+    context.register('connection', function(config, callback) {}, false, 'singleton', 'callback', ['config'])
+    context.validate()
+      .then(function(validated) {
+        expect(validated).toBe(context)
+        done()
+      },
+      errorHandler(done))
+  })
+
+  afterEach(function(done) {
+    context = undefined
+    done()
+  })
+
+})